@@ -4,6 +4,12 @@
 import { VARModel } from './VARModel.js';
 import { extractDataFromBVH } from '../utils/bvhUtils.js';
 
+// JSON stores NaN (e.g. the t statistic of a coefficient without a standard error) as null
+function restoreNaN(values) {
+  if (!Array.isArray(values)) return values ?? null;
+  return values.map(value => (Array.isArray(value) ? restoreNaN(value) : (value === null ? NaN : value)));
+}
+
 export class KfGom {
   constructor(variables = null, coefLabels = null) {
     // Default variables - all major body joints with X, Y, Z rotations
@@ -71,9 +77,10 @@ export class KfGom {
   /**
    * Main training function - equivalent to do_gom in Python
    * @param {Object|Array} eulerAngles - Either object with joint data or 2D array
+   * @param {Object} options - VARModel.fit options, e.g. {covType: 'HAC', maxlags}
    * @returns {Object} - {coef: coefficients, dfPred: predictions}
    */
-  doGom(eulerAngles) {
+  doGom(eulerAngles, options = {}) {
     console.log("🎪 Starting VAR-based General Movement Model training...");
 
     let dataMatrix;
@@ -90,7 +97,7 @@ export class KfGom {
 
     // Create and train VAR model
     this.model = new VARModel(this.lags);
-    this.model.fit(dataMatrix, this.variables);
+    this.model.fit(dataMatrix, this.variables, options);
 
     // Extract coefficients and p-values in the format expected
     const summary = this.model.summary();
@@ -308,9 +315,27 @@ export class KfGom {
     this.lags = modelData.lags;
     
     // Recreate VAR model
+    const saved = modelData.modelParams;
     this.model = new VARModel(this.lags);
-    this.model.params = modelData.modelParams.params;
-    this.model.pvalues = modelData.modelParams.pvalues;
+    this.model.params = saved.params;
+    this.model.dfResid = saved.dfResid;
+    this.model.covType = saved.covType ?? 'nonrobust';
+    this.model.maxlags = saved.maxlags ?? null;
+    this.model.conditionNumber = saved.conditionNumber ?? null;
+    this.model.collinear = saved.collinear ?? [];
+    
+    // Statistics are rebuilt from the covariance when an export kept it but not the standard
+    // errors; with neither, inference stays unavailable and confInt() says so
+    if (saved.stderr) {
+      this.model.stderr = restoreNaN(saved.stderr);
+      this.model.tvalues = restoreNaN(saved.tvalues);
+      this.model.pvalues = restoreNaN(saved.pvalues);
+      this.model.cov = saved.cov ?? null;
+    } else if (saved.cov) {
+      this.model.setCovariance(saved.cov);
+    } else {
+      console.warn("⚠️ Imported model has no standard errors or covariance - confidence intervals and p-values are not available");
+    }
     this.model.trained = true;
     this.model.variableNames = this.variables;
     this.model.numVariables = this.variables.length;
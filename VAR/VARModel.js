@@ -1,18 +1,27 @@
 // 🎪 Vector Autoregression (VAR) Model Implementation
 // Predicts ALL variables simultaneously using their past values
 
-import * as math from 'mathjs';
+import { coefficientTests, confidenceIntervals, olsCovariance, neweyWestLags } from '../utils/inference.js';
+import { leastSquares } from '../utils/leastSquares.js';
 
 export class VARModel {
   constructor(lags = 2) {
     this.lags = lags;
     this.params = null;
+    this.stderr = null;
+    this.cov = null;
+    this.tvalues = null;
     this.pvalues = null;
+    this.dfResid = null;
+    this.covType = null;
+    this.maxlags = null;
     this.trained = false;
     this.variableNames = null;
     this.numVariables = null;
     this.residuals = null;
     this.fitted = null;
+    this.conditionNumber = null;
+    this.collinear = [];
   }
 
   /**
@@ -53,37 +62,26 @@ export class VARModel {
   }
 
   /**
-   * Add noise to constant columns to avoid singular matrix
-   * @param {Array} data - 2D array
-   * @returns {Array} - Data with noise added to constant columns
+   * Labels of the design matrix columns, in the KfGom style: Bias, var(t-1), ..., var(t-lags)
+   * @returns {Array} - One label per parameter row
    */
-  addNoiseToConstantColumns(data) {
-    const result = data.map(row => [...row]); // Deep copy
-    const numVars = data[0].length;
-    
-    // Check each variable for constant values
-    for (let varIdx = 0; varIdx < numVars; varIdx++) {
-      const values = data.map(row => row[varIdx]);
-      const uniqueValues = [...new Set(values)];
-      
-      if (uniqueValues.length <= 1) {
-        console.warn(`Adding noise to constant variable at index ${varIdx}`);
-        // Add small random noise
-        for (let obsIdx = 0; obsIdx < data.length; obsIdx++) {
-          result[obsIdx][varIdx] += (Math.random() - 0.5) * 0.001;
-        }
-      }
+  getCoefficientLabels() {
+    const labels = ['Bias'];
+    for (let lag = 1; lag <= this.lags; lag++) {
+      labels.push(...this.variableNames.map(name => `${name}(t-${lag})`));
     }
-    
-    return result;
+    return labels;
   }
 
   /**
    * Fit VAR model using OLS equation by equation
    * @param {Array} data - 2D array [observations, variables]
    * @param {Array} variableNames - Names of variables
+   * @param {Object} options - {covType: 'nonrobust' | 'HC0' | 'HC1' | 'HC2' | 'HC3' | 'HAC',
+   *                            maxlags: HAC bandwidth (Newey-West rule by default)}
    */
-  fit(data, variableNames = null) {
+  fit(data, variableNames = null, options = {}) {
+    const { covType = 'nonrobust' } = options;
     console.log(`🎪 Training VAR(${this.lags}) model...`);
     
     this.numVariables = data[0].length;
@@ -92,40 +90,29 @@ export class VARModel {
     console.log(`📊 Variables: ${this.numVariables}`);
     console.log(`📈 Observations: ${data.length}`);
     
-    // Add noise to constant columns
-    const processedData = this.addNoiseToConstantColumns(data);
-    
     // Create lagged matrices
-    const { X, y } = this.createLaggedMatrix(processedData, this.lags);
+    const { X, y } = this.createLaggedMatrix(data, this.lags);
     
     console.log(`🔧 Design matrix: ${X.length} × ${X[0].length}`);
     console.log(`🎯 Target matrix: ${y.length} × ${y[0].length}`);
     
-    // Convert to matrices
-    const XMatrix = math.matrix(X);
-    const yMatrix = math.matrix(y);
-    
-    // Calculate coefficients for each equation: β = (X'X)^(-1)X'y
-    const XT = math.transpose(XMatrix);
-    const XTX = math.multiply(XT, XMatrix);
-    
-    // Add regularization for numerical stability
-    const lambda = 1e-8;
-    const identity = math.identity(XTX.size());
-    const regularizedXTX = math.add(XTX, math.multiply(lambda, identity));
+    // Solve every equation at once by rank-revealing QR; constant or collinear
+    // regressors are dropped (coefficient 0) instead of being perturbed
+    const solution = leastSquares(X, y);
+    this.params = solution.coefficients;
+    this.residuals = solution.residuals;
+    this.fitted = y.map((row, t) => row.map((v, eqIdx) => v - this.residuals[t][eqIdx]));
+    this.conditionNumber = solution.conditionNumber;
+    this.collinear = solution.dropped;
     
-    const XTy = math.multiply(XT, yMatrix);
-    const beta = math.multiply(math.inv(regularizedXTX), XTy);
-    
-    this.params = beta._data;
-    
-    // Calculate fitted values and residuals
-    const yPred = math.multiply(XMatrix, beta);
-    this.fitted = yPred._data;
-    this.residuals = math.subtract(yMatrix, yPred)._data;
+    if (this.collinear.length > 0) {
+      const labels = this.getCoefficientLabels();
+      console.warn(`⚠️ Collinear regressors dropped (coefficient fixed at 0): ${this.collinear.map(i => labels[i]).join(', ')}`);
+    }
+    console.log(`🔢 Condition number: ${Number.isFinite(this.conditionNumber) ? this.conditionNumber.toExponential(2) : 'Infinity'}`);
     
     // Calculate standard errors and p-values
-    this.calculateStatistics(XMatrix, yMatrix, beta);
+    this.calculateStatistics(X, solution, covType, options.maxlags);
     
     this.trained = true;
     console.log(`✅ VAR model trained successfully!`);
@@ -134,79 +121,51 @@ export class VARModel {
   }
 
   /**
-   * Calculate standard errors, t-statistics, and p-values
+   * Calculate standard errors, t-statistics and exact Student-t p-values
+   * @param {Array} X - Design rows
+   * @param {Object} solution - Result of leastSquares (XTXInverse, residuals, rank)
+   * @param {string} covType - Covariance estimator of every equation (see olsCovariance)
+   * @param {number} maxlags - HAC bandwidth
    */
-  calculateStatistics(XMatrix, yMatrix, beta) {
-    const n = XMatrix.size()[0]; // Number of observations
-    const k = XMatrix.size()[1]; // Number of parameters per equation
-    const m = this.numVariables;   // Number of equations (variables)
-    
-    // Calculate residual covariance matrix
-    const residuals = math.subtract(yMatrix, math.multiply(XMatrix, beta));
-    const residualsT = math.transpose(residuals);
-    const sigmaMat = math.multiply(residualsT, residuals);
-    const sigma = math.divide(sigmaMat, n - k);
+  calculateStatistics(X, solution, covType = 'nonrobust', maxlags = undefined) {
+    const n = X.length;          // Number of observations
+    const k = solution.rank;     // Number of estimated parameters per equation
+    const m = this.numVariables; // Number of equations (variables)
     
-    // Calculate parameter covariance matrix for each equation
-    const XTX_inv = math.inv(math.multiply(math.transpose(XMatrix), XMatrix));
-    
-    this.pvalues = [];
+    this.dfResid = n - k;
+    this.covType = covType;
+    this.maxlags = covType === 'HAC' ? (maxlags ?? neweyWestLags(n)) : null;
     
+    const cov = [];
     for (let eqIdx = 0; eqIdx < m; eqIdx++) {
-      const sigma_eq = sigma._data[eqIdx][eqIdx];
-      const paramCov = math.multiply(sigma_eq, XTX_inv);
-      const stdErrors = math.diag(paramCov).map(val => Math.sqrt(Math.abs(val)));
-      
-      const tStats = this.params.map((paramRow, paramIdx) => {
-        const param = paramRow[eqIdx];
-        const se = stdErrors[paramIdx];
-        return se > 0 ? param / se : 0;
-      });
-      
-      const pVals = tStats.map(t => {
-        const absT = Math.abs(t);
-        if (!isFinite(absT) || isNaN(absT)) return 0.999;
-        
-        // Approximate p-value using t-distribution
-        const df = n - k;
-        if (df > 30) {
-          // Normal approximation for large df
-          const z = absT;
-          const pValue = 2 * (1 - this.normalCDF(z));
-          return Math.max(0.001, Math.min(0.999, pValue));
-        } else {
-          // Simple approximation for small df
-          if (absT > 4) return 0.001;
-          else if (absT > 3) return 0.01;
-          else if (absT > 2.5) return 0.02;
-          else if (absT > 2) return 0.05;
-          else if (absT > 1.5) return 0.1;
-          else return 0.2;
-        }
-      });
-      
-      this.pvalues.push(pVals);
+      const eqResiduals = solution.residuals.map(row => row[eqIdx]);
+      cov.push(olsCovariance(X, eqResiduals, solution.XTXInverse, covType, { maxlags: this.maxlags, df: n - k }));
     }
+    this.setCovariance(cov);
   }
 
   /**
-   * Normal CDF approximation
+   * Standard errors, t-statistics and p-values from the parameter covariance of every equation
+   * (also used to restore inference on imported models that only kept the covariance)
+   * @param {Array} cov - One [parameters × parameters] covariance matrix per equation
    */
-  normalCDF(x) {
-    const erfApprox = (x) => {
-      const a1 =  0.254829592;
-      const a2 = -0.284496736;
-      const a3 =  1.421413741;
-      const a4 = -1.453152027;
-      const a5 =  1.061405429;
-      const p  =  0.3275911;
-      const sign = x < 0 ? -1 : 1;
-      x = Math.abs(x);
-      const t = 1.0 / (1.0 + p * x);
-      const y = 1.0 - (((((a5 * t + a4) * t) + a3) * t + a2) * t + a1) * t * Math.exp(-x * x);
-      return sign * y;
-    };
-    return 0.5 * (1 + erfApprox(x / Math.sqrt(2)));
+  setCovariance(cov) {
+    this.cov = cov;
+    this.stderr = [];
+    this.tvalues = [];
+    this.pvalues = [];
+    
+    for (let eqIdx = 0; eqIdx < cov.length; eqIdx++) {
+      // Dropped regressors are not estimated and get no standard error
+      const stdErrors = cov[eqIdx].map((row, i) => (this.collinear.includes(i) ? NaN : Math.sqrt(Math.abs(row[i]))));
+      
+      const params = this.params.map(paramRow => paramRow[eqIdx]);
+      const { tStats, pValues } = coefficientTests(params, stdErrors, this.dfResid);
+      
+      this.stderr.push(stdErrors);
+      this.tvalues.push(tStats);
+      this.pvalues.push(pValues);
+    }
   }
 
   /**
@@ -257,10 +216,29 @@ export class VARModel {
     return predictions;
   }
 
+  /**
+   * Confidence intervals for the parameters of every equation
+   * @param {number} alpha - Significance level (0.05 gives the [0.025, 0.975] interval)
+   * @returns {Array} - One array of [lower, upper] pairs per equation (variable)
+   */
+  confInt(alpha = 0.05) {
+    if (!this.trained) {
+      throw new Error("Model not trained. Call fit() first.");
+    }
+    if (!this.stderr) {
+      throw new Error("Standard errors not available: the model was imported without stderr or covariance. Refit it to get confidence intervals.");
+    }
+    
+    return this.stderr.map((stdErrors, eqIdx) =>
+      confidenceIntervals(this.params.map(paramRow => paramRow[eqIdx]), stdErrors, this.dfResid, alpha)
+    );
+  }
+
   /**
    * Get model summary
+   * @param {number} alpha - Significance level of the confidence intervals
    */
-  summary() {
+  summary(alpha = 0.05) {
     if (!this.trained) return "Model not trained.";
     
     return {
@@ -269,7 +247,17 @@ export class VARModel {
       numParameters: this.params.length,
       variableNames: this.variableNames,
       params: this.params,
+      stderr: this.stderr,
+      cov: this.cov,
+      tvalues: this.tvalues,
       pvalues: this.pvalues,
+      dfResid: this.dfResid,
+      conditionNumber: this.conditionNumber,
+      collinear: this.collinear,
+      covType: this.covType,
+      maxlags: this.maxlags,
+      alpha,
+      confInt: this.stderr ? this.confInt(alpha) : null,
       residuals: this.residuals,
       fitted: this.fitted
     };
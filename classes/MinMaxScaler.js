@@ -40,4 +40,23 @@ export class MinMaxScaler {
     if (!this.scale) throw new Error("Scaler not fitted");
     return values.map((val, i) => val * this.scale[i] + this.minScale[i]);
   }
+
+  // Fitted state as plain JSON (saved alongside a SARIMAX model)
+  toJSON() {
+    if (!this.scale) throw new Error("Scaler not fitted");
+    return { type: 'MinMaxScaler', min: this.min, max: this.max };
+  }
+
+  static fromJSON(json) {
+    const valid = Object.keys(json).every(key => ['type', 'min', 'max'].includes(key)) &&
+      [json.min, json.max].every(values => Array.isArray(values) && values.every(v => typeof v === 'number')) &&
+      json.min.length === json.max.length;
+    if (!valid) throw new Error("Invalid saved MinMaxScaler: expected min and max arrays of equal length");
+    const scaler = new MinMaxScaler();
+    scaler.min = json.min;
+    scaler.max = json.max;
+    scaler.scale = json.max.map((max, i) => max - json.min[i]);
+    scaler.minScale = json.min;
+    return scaler;
+  }
 } 
\ No newline at end of file
@@ -0,0 +1,40 @@
+// 🔮 Forecast results container (mirrors statsmodels' PredictionResults)
+
+import { tCritical } from '../utils/inference.js';
+
+export class PredictionResults {
+  /**
+   * @param {Array} predictedMean - Point forecasts, one per horizon
+   * @param {Array} varPredMean - Forecast error variances, one per horizon
+   */
+  constructor(predictedMean, varPredMean) {
+    this.predicted_mean = predictedMean;
+    this.var_pred_mean = varPredMean;
+    this.se_mean = varPredMean.map(v => Math.sqrt(v));
+  }
+
+  /**
+   * Gaussian prediction intervals
+   * @param {number} alpha - Significance level (0.05 gives 95% intervals)
+   * @returns {Array} - [lower, upper] pair per horizon
+   */
+  conf_int(alpha = 0.05) {
+    const z = tCritical(alpha, Infinity);
+    return this.predicted_mean.map((mean, h) => [mean - z * this.se_mean[h], mean + z * this.se_mean[h]]);
+  }
+
+  /**
+   * Forecast table, one row per horizon
+   * @param {number} alpha - Significance level of the intervals
+   * @returns {Array} - Rows {mean, mean_se, mean_ci_lower, mean_ci_upper}
+   */
+  summary_frame(alpha = 0.05) {
+    const intervals = this.conf_int(alpha);
+    return this.predicted_mean.map((mean, h) => ({
+      mean,
+      mean_se: this.se_mean[h],
+      mean_ci_lower: intervals[h][0],
+      mean_ci_upper: intervals[h][1]
+    }));
+  }
+}
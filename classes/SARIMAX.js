@@ -1,21 +1,294 @@
 import * as math from 'mathjs';
+import { nelderMead, numericalHessian } from '../utils/optimize.js';
+import {
+  armaStateSpace,
+  stationaryCovariance,
+  stationaryMean,
+  kalmanFilter,
+  concentrateRegression,
+  concentratedLoglike,
+  constrainStationary,
+  unconstrainStationary,
+  lagPolynomialRoots
+} from '../utils/stateSpace.js';
+import { coefficientTests, confidenceIntervals, olsCovariance, neweyWestLags } from '../utils/inference.js';
+import { residualDiagnostics } from '../utils/diagnostics.js';
+import { leastSquares } from '../utils/leastSquares.js';
+import { PENALTIES, elasticNet, crossValidateLambda } from '../utils/regularization.js';
+import { createRng } from '../utils/random.js';
+import { PredictionResults } from './PredictionResults.js';
+import { StandardScaler } from './StandardScaler.js';
+import { MinMaxScaler } from './MinMaxScaler.js';
+
+// Multiply two lag polynomials given as coefficient arrays [c0, c1, ...]
+function polyMultiply(a, b) {
+  const result = new Array(a.length + b.length - 1).fill(0);
+  for (let i = 0; i < a.length; i++) {
+    for (let j = 0; j < b.length; j++) {
+      result[i + j] += a[i] * b[j];
+    }
+  }
+  return result;
+}
+
+// Lag polynomial of the differencing operator (1 - B)^d (1 - B^s)^D
+function differencingPolynomial(d, D = 0, s = 0) {
+  let poly = [1];
+  for (let i = 0; i < d; i++) {
+    poly = polyMultiply(poly, [1, -1]);
+  }
+  for (let i = 0; i < D; i++) {
+    poly = polyMultiply(poly, seasonalPolynomial([-1], s));
+  }
+  return poly;
+}
+
+// Lag polynomial 1 + c_1 B^s + c_2 B^2s + ... for seasonal coefficients c
+function seasonalPolynomial(coefficients, s) {
+  const poly = new Array(coefficients.length * s + 1).fill(0);
+  poly[0] = 1;
+  coefficients.forEach((c, i) => { poly[(i + 1) * s] = c; });
+  return poly;
+}
+
+// Expanded AR/MA coefficients of phi(B) Phi(B^s) and theta(B) Theta(B^s)
+function expandPolynomials({ ar, ma, seasonalAr, seasonalMa }, s) {
+  const arPoly = polyMultiply([1, ...ar.map(v => -v)], seasonalPolynomial(seasonalAr.map(v => -v), s));
+  const maPoly = polyMultiply([1, ...ma], seasonalPolynomial(seasonalMa, s));
+  return { ar: arPoly.slice(1).map(v => -v), ma: maPoly.slice(1) };
+}
+
+// Unconstrained optimizer start for AR-type coefficients (zeros if they are not stationary)
+function startingUnconstrained(coefficients) {
+  const unconstrained = unconstrainStationary(coefficients);
+  const roundTrip = constrainStationary(unconstrained);
+  const valid = unconstrained.every(Number.isFinite) &&
+    roundTrip.every((v, i) => Math.abs(v - coefficients[i]) < 1e-6);
+  return valid ? unconstrained : new Array(coefficients.length).fill(0);
+}
+
+// Apply a lag polynomial to a series, dropping the first (degree) values
+function applyLagPolynomial(series, poly) {
+  const degree = poly.length - 1;
+  const result = [];
+  for (let t = degree; t < series.length; t++) {
+    let value = 0;
+    for (let j = 0; j <= degree; j++) {
+      value += poly[j] * series[t - j];
+    }
+    result.push(value);
+  }
+  return result;
+}
+
+// MA(infinity) weights psi_0..psi_{count-1} of y_t = sum ar[j-1] y_{t-j} + e_t + sum ma[j-1] e_{t-j}
+function psiWeights(ar, ma, count) {
+  const psi = [1];
+  for (let j = 1; j < count; j++) {
+    let value = j <= ma.length ? ma[j - 1] : 0;
+    for (let i = 1; i <= Math.min(j, ar.length); i++) value += ar[i - 1] * psi[j - i];
+    psi.push(value);
+  }
+  return psi;
+}
+
+// Information criteria counting sigma2 as a parameter, like statsmodels
+function informationCriteria(llf, nobs, numParams) {
+  const aic = -2 * llf + 2 * numParams;
+  return {
+    aic,
+    bic: -2 * llf + numParams * Math.log(nobs),
+    hqic: -2 * llf + 2 * numParams * Math.log(Math.log(nobs)),
+    aicc: aic + (2 * numParams * (numParams + 1)) / (nobs - numParams - 1)
+  };
+}
+
+// Covariance from the observed information of a log-likelihood; parameters dropped as
+// collinear are held at zero, so only the Hessian of the free ones is inverted. A singular
+// Hessian (e.g. an MA coefficient on the invertibility boundary) gives NaN standard errors
+// with a warning instead of failing the fit.
+function observedCovariance(loglike, coefficients, dropped = []) {
+  const free = coefficients.map((_, i) => i).filter(i => !dropped.includes(i));
+  const expand = (subset) => {
+    const params = coefficients.slice();
+    free.forEach((i, j) => { params[i] = subset[j]; });
+    return params;
+  };
+  const hessian = numericalHessian(subset => loglike(expand(subset)), free.map(i => coefficients[i]));
+  let reduced;
+  try {
+    reduced = math.inv(math.multiply(-1, hessian));
+  } catch (error) {
+    reduced = null;
+  }
+  if (!reduced || !reduced.every(row => row.every(Number.isFinite))) {
+    console.warn('⚠️ Singular information matrix (a parameter may sit on a stationarity or invertibility boundary): standard errors are not available');
+    return coefficients.map(() => coefficients.map(() => NaN));
+  }
+  const covMatrix = coefficients.map(() => new Array(coefficients.length).fill(0));
+  free.forEach((i, a) => free.forEach((j, b) => { covMatrix[i][j] = reduced[a][b]; }));
+  dropped.forEach(i => { covMatrix[i][i] = NaN; });
+  return covMatrix;
+}
+
+// Standard errors, t statistics and p-values from a parameter covariance matrix
+function coefficientStatistics(coefficients, covMatrix, df) {
+  const diagElements = math.diag(covMatrix);
+    
+  // Convert to regular array if needed
+  const diagArray = Array.isArray(diagElements) ? diagElements : diagElements._data || [diagElements];
+    
+  const stdErrors = diagArray.map(val => {
+    const sqrt = Math.sqrt(Math.abs(val)); // Ensure positive value
+    return sqrt === 0 ? 1e-10 : sqrt; // Avoid division by zero
+  });
+    
+  const { tStats, pValues } = coefficientTests(coefficients, stdErrors, df);
+
+  return { stdErrors, tStats, pValues };
+}
+
+// Deterministic trend specifications and their parameter names (statsmodels convention)
+const TREND_TERMS = { n: [], c: ['const'], t: ['drift'], ct: ['const', 'drift'] };
+
+// Smallest AR root modulus considered safely stationary (warning / stability correction threshold)
+const STATIONARITY_MARGIN = 1.005;
+
+// Condition number of the (column-scaled) design above which multicollinearity is reported
+const CONDITION_WARNING = 1000;
+
+// Version of the toJSON() layout; fromJSON() rejects files written by a newer version
+const SCHEMA_VERSION = 1;
+
+// Scalers that can be saved with a model, by their toJSON() type
+const SCALERS = { StandardScaler, MinMaxScaler };
+
+// Options fit() accepts; the ones a caller passed are kept so refits can replay them
+const FIT_OPTIONS = ['method', 'enforceStationarity', 'stabilityCorrection', 'covType', 'maxlags', 'penalty',
+  'lambda', 'l1Ratio', 'cvFolds', 'maxIter'];
+
+// Keys of each toJSON() section; fromJSON() copies these and nothing else
+const SAVED_KEYS = {
+  model: ['schemaVersion', 'type', 'spec', 'data', 'params', 'fit', 'residuals', 'rls', 'diagnostics', 'scaler'],
+  spec: ['order', 'seasonalOrder', 'trend', 'exogLags', 'endogName', 'exogNames'],
+  data: ['endog', 'exog'],
+  params: ['names', 'coefficients', 'stdErrors', 'tStats', 'pValues'],
+  fit: ['method', 'covType', 'maxlags', 'penalty', 'conditionNumber', 'collinear', 'nobs', 'dfResid',
+    'mse', 'rSquared', 'llf', 'aic', 'bic', 'hqic', 'aicc', 'options'],
+  options: FIT_OPTIONS,
+  rls: ['P', 'sse', 'weight', 'sumY', 'sumY2'],
+  penalty: ['type', 'lambda', 'l1Ratio', 'cv'],
+  cv: ['lambda', 'lambdas', 'scores', 'folds']
+};
+
+// Reject a saved section that is not a plain object or has keys toJSON() never writes
+function checkSavedKeys(section, name) {
+  if (!section || typeof section !== 'object' || Array.isArray(section)) {
+    throw new Error(`Saved model: "${name}" must be an object`);
+  }
+  const unknown = Object.keys(section).filter(key => !SAVED_KEYS[name].includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Saved model: unknown ${name} keys ${unknown.join(', ')}`);
+  }
+  return section;
+}
+
+// Saved number (NaN / Infinity are stored as null by JSON); nullable keeps null as null
+function savedNumber(value, name, nullable = false) {
+  if (value === null) return nullable ? null : NaN;
+  if (typeof value !== 'number') throw new Error(`Saved model: "${name}" must be a number`);
+  return value;
+}
+
+// Saved number array of a given length (null entries read as NaN, e.g. dropped terms' standard errors)
+function savedNumbers(values, length, name) {
+  if (!Array.isArray(values) || (length !== null && values.length !== length)) {
+    throw new Error(`Saved model: "${name}" must be an array of ${length ?? 'any number of'} numbers`);
+  }
+  return values.map((v, i) => savedNumber(v, `${name}[${i}]`));
+}
 
 // Enhanced SARIMAX class
 export class SARIMAX {
-  constructor(endog, exog, order = 2) {
+  /**
+   * @param {Array} endog - Target series
+   * @param {Array} exog - Exogenous rows [frames, variables]
+   * @param {number|Array} order - AR order or a (p, d, q) tuple
+   * @param {Object} options - {seasonalOrder: {P, D, Q, s}, trend: 'n' | 'c' | 't' | 'ct',
+   *                            exogLags: number of exog lags for every variable, or one count per variable,
+   *                            endogName, exogNames: joint names used in parameter names and saved models,
+   *                            scaler: fitted StandardScaler / MinMaxScaler the data went through}
+   */
+  constructor(endog, exog, order = 2, options = {}) {
+    // Accept either a plain AR order or a (p, d, q) tuple
+    const [p, d = 0, q = 0] = Array.isArray(order) ? order : [order, 0, 0];
+    if (![p, d, q].every(v => Number.isInteger(v) && v >= 0)) {
+      throw new Error(`Invalid order (${[p, d, q].join(', ')}): p, d and q must be non-negative integers`);
+    }
+
+    // Seasonal order, e.g. {P: 1, D: 0, Q: 1, s: 120} for a 120-frame motion cycle
+    const { P = 0, D = 0, Q = 0, s = 0 } = options.seasonalOrder || {};
+    if (![P, D, Q, s].every(v => Number.isInteger(v) && v >= 0)) {
+      throw new Error(`Invalid seasonal order (${[P, D, Q, s].join(', ')}): P, D, Q and s must be non-negative integers`);
+    }
+    if (P + D + Q > 0 && s < 2) {
+      throw new Error(`Seasonal period s must be at least 2 when P, D or Q is set (got ${s})`);
+    }
+    // Trend terms enter the equation of the differenced series: 'c' adds a constant
+    // (a drift in levels when d > 0), 't' a linear time trend, 'ct' both
+    const { trend = 'n' } = options;
+    if (!(trend in TREND_TERMS)) {
+      throw new Error(`Invalid trend "${trend}" (use 'n', 'c', 't' or 'ct')`);
+    }
+    // Lagged exog: variable j also enters as x_{t-1}, ..., x_{t-k_j}
+    const numExog = exog[0].length;
+    const { exogLags = 0 } = options;
+    const lagCounts = Array.isArray(exogLags) ? exogLags : new Array(numExog).fill(exogLags);
+    if (lagCounts.length !== numExog || !lagCounts.every(k => Number.isInteger(k) && k >= 0)) {
+      throw new Error(`Invalid exogLags: expected a non-negative integer or one per exog variable (${numExog})`);
+    }
+    const { endogName = null, exogNames = null, scaler = null } = options;
+    if (exogNames && exogNames.length !== numExog) {
+      throw new Error(`Expected ${numExog} exogNames, got ${exogNames.length}`);
+    }
     this.endog = endog;
     this.exog = exog;
-    this.order = order;
+    this.order = [p, d, q];
+    this.seasonalOrder = { P, D, Q, s };
+    this.trend = trend;
+    this.exogLags = lagCounts;
+    this.endogName = endogName;
+    this.exogNames = exogNames;
+    this.scaler = scaler;
+    this.maxExogLag = Math.max(0, ...lagCounts);
+    this.diffPoly = differencingPolynomial(d, D, s);
+    // Number of past frames needed to predict the next one in original units
+    // (with MA terms the extra frames let predictNext rebuild recent innovations)
+    this.lookback = p + d + q + s * (P + D + Q) + this.maxExogLag;
     this.coefficients = null;
     this.trained = false;
     this.stdErrors = null;
     this.tStats = null;
     this.pValues = null;
+    this.dfResid = null;
     this.residuals = null;
     this.rSquared = null;
     this.mse = null;
+    this.llf = null;
     this.aic = null;
     this.bic = null;
+    this.hqic = null;
+    this.aicc = null;
+    this.nobs = null;
+    this.method = null;
+    this.covType = null;
+    this.maxlags = null;
+    this.conditionNumber = null;
+    this.collinear = [];
+    this.penalty = null;
+    this.fitOptions = null;
+    this.rls = null;
+    this.fittedValues = null;
   }
 
   laggedMatrix(data, lags) {
@@ -30,186 +303,1246 @@ export class SARIMAX {
     return result;
   }
 
-  fit() {
+  /**
+   * Exog regressor rows with the lagged columns appended per variable
+   * [x1_t, x1_{t-1}, ..., x2_t, ...]; the first maxExogLag frames have no row
+   * @param {Array} exogRows - Exog rows [frames, variables]
+   * @returns {Array} - Regressor rows for frames maxExogLag..end
+   */
+  expandExog(exogRows) {
+    const rows = [];
+    for (let t = this.maxExogLag; t < exogRows.length; t++) {
+      const row = [];
+      this.exogLags.forEach((k, j) => {
+        for (let lag = 0; lag <= k; lag++) row.push(exogRows[t - lag][j]);
+      });
+      rows.push(row);
+    }
+    return rows;
+  }
+
+  /**
+   * Difference endog and every exog regressor column with (1 - B)^d (1 - B^s)^D
+   * (frames without a full exog lag history are dropped first)
+   * @param {Array} endogData - Target frames (defaults to the training series)
+   * @param {Array} exogData - Exog rows aligned with endogData
+   * @returns {Object} - {endog, exog} on the differenced scale
+   */
+  difference(endogData = this.endog, exogData = this.exog) {
+    const endog = applyLagPolynomial(endogData.slice(this.maxExogLag), this.diffPoly);
+    const regressors = this.expandExog(exogData);
+    const numRegressors = regressors[0].length;
+    const exogColumns = Array.from({length: numRegressors}, (_, col) =>
+      applyLagPolynomial(regressors.map(row => row[col]), this.diffPoly)
+    );
+    const exog = endog.map((_, t) => exogColumns.map(column => column[t]));
+    return { endog, exog };
+  }
+
+  /**
+   * Deterministic trend regressors for one frame
+   * @param {number} time - 1-based position of the frame in its series
+   * @returns {Array} - [1] for 'c', [time] for 't', [1, time] for 'ct', [] for 'n'
+   */
+  trendTerms(time) {
+    return TREND_TERMS[this.trend].map(name => (name === 'const' ? 1 : time));
+  }
+
+  /**
+   * Regression rows on the differenced scale: exog plus p lags of the seasonally
+   * AR-filtered series u_t = Phi(B^s) w_t (u = w without seasonal AR terms)
+   * @param {Array} endog - Differenced endog
+   * @param {Array} exog - Differenced exog rows
+   * @param {Array} seasonalAr - Seasonal AR coefficients [Phi_1, ..., Phi_P]
+   * @returns {Object} - {X, y, observed} where observed is w at the same rows
+   */
+  buildRegression(endog, exog, seasonalAr = []) {
     const X = [];
     const y = [];
+    const observed = [];
+    const p = this.order[0];
 
-    const laggedEndog = this.laggedMatrix(this.endog, this.order);
-    const laggedExog = this.exog.slice(this.order);
+    const seasonalPoly = seasonalPolynomial(seasonalAr.map(v => -v), this.seasonalOrder.s);
+    const filtered = applyLagPolynomial(endog, seasonalPoly);
+    const offset = seasonalPoly.length - 1;
+    const laggedEndog = this.laggedMatrix(filtered, p);
+    const laggedExog = exog.slice(offset + p);
 
     for (let i = 0; i < laggedEndog.length; i++) {
       X.push([...laggedExog[i], ...laggedEndog[i]]);
-      y.push(this.endog[i + this.order]);
+      y.push(filtered[i + p]);
+      observed.push(endog[offset + i + p]);
     }
+    return { X, y, observed };
+  }
 
-    const XMatrix = math.matrix(X);
-    const yVector = math.matrix(y);
+  /**
+   * Estimate the model
+   * @param {Object} options - {method: 'ols' (conditional, fast default) or 'mle' (exact likelihood),
+   *                            enforceStationarity: estimate the AR part through the stationary
+   *                            reparameterisation (always the case with 'mle'),
+   *                            stabilityCorrection: shrink a non-stationary OLS AR part after fitting,
+   *                            covType: 'nonrobust' | 'HC0' | 'HC1' | 'HC2' | 'HC3' | 'HAC' (OLS fits only),
+   *                            maxlags: HAC bandwidth (Newey-West rule by default),
+   *                            penalty: 'ridge' | 'lasso' | 'elasticnet' shrinkage of the exog
+   *                            coefficients (OLS fits only; trend and AR terms stay unpenalized),
+   *                            lambda: penalty weight or 'cv' (default) for time-ordered cross-validation,
+   *                            l1Ratio: lasso share of the elastic net penalty (default 0.5),
+   *                            cvFolds: number of cross-validation folds (default 5),
+   *                            maxIter: Nelder-Mead iteration cap of likelihood fits (default 200 per
+   *                            searched coefficient; seasonal MA fits run a Kalman filter with about
+   *                            s·Q states at every evaluation, so capping them trades accuracy for time)}
+   * @returns {SARIMAX} - this
+   */
+  fit(options = {}) {
+    const {
+      method = 'ols',
+      enforceStationarity = false,
+      stabilityCorrection = false,
+      covType = 'nonrobust',
+      penalty = null,
+      lambda = 'cv',
+      l1Ratio = 0.5,
+      cvFolds = 5,
+      maxIter = undefined
+    } = options;
+    if (!['ols', 'mle'].includes(method)) {
+      throw new Error(`Unknown estimation method "${method}" (use 'ols' or 'mle')`);
+    }
+    if (penalty !== null && !(penalty in PENALTIES)) {
+      throw new Error(`Unknown penalty "${penalty}" (use 'ridge', 'lasso' or 'elasticnet')`);
+    }
+    if (penalty === 'elasticnet' && !(l1Ratio >= 0 && l1Ratio <= 1)) {
+      throw new Error(`l1Ratio must be between 0 and 1, got ${l1Ratio}`);
+    }
+    if (maxIter !== undefined && !(Number.isInteger(maxIter) && maxIter > 0)) {
+      throw new Error(`maxIter must be a positive integer, got ${maxIter}`);
+    }
 
-    const XT = math.transpose(XMatrix);
-    const XTX = math.multiply(XT, XMatrix);
-    
-    // Add regularization to prevent numerical instability
-    const lambda = 1e-6; // Small regularization parameter
-    const identity = math.identity(XTX.size());
-    const regularizedXTX = math.add(XTX, math.multiply(lambda, identity));
-    
-    const XTY = math.multiply(XT, yVector);
-    const beta = math.multiply(math.inv(regularizedXTX), XTY);
+    const differenced = this.difference();
+    const endog = differenced.endog;
+    // Trend regressors come first; differenced row t is frame t + 1 + (degree of differencing)
+    // + (frames dropped for exog lags)
+    const offset = this.diffPoly.length + this.maxExogLag;
+    const exog = differenced.exog.map((row, t) => [...this.trendTerms(t + offset), ...row]);
+    const [p, , q] = this.order;
+    const { P, Q } = this.seasonalOrder;
 
-    this.coefficients = beta._data;
-    
-    // Check for potential instability in AR coefficients
-    const numExog = this.exog[0].length;
-    const arCoeffs = this.coefficients.slice(numExog);
-    const arSum = arCoeffs.reduce((sum, coef) => sum + coef, 0);
-    
-    if (Math.abs(arSum) > 0.999) {
-      console.warn(`⚠️ Model stability warning: AR coefficients sum = ${arSum.toFixed(6)} (close to unit root)`);
-      // Apply stability correction
-      const stabilityFactor = 0.995 / Math.abs(arSum);
-      for (let i = numExog; i < this.coefficients.length; i++) {
-        this.coefficients[i] *= stabilityFactor;
-      }
-      console.log(`✅ Applied stability correction factor: ${stabilityFactor.toFixed(6)}`);
+    // Plain OLS suffices for AR(p) + X; MA and seasonal AR terms (or a constrained AR part) need the likelihood
+    const constrainAr = enforceStationarity && p > 0;
+    const likelihood = q > 0 || P > 0 || Q > 0 || constrainAr || method === 'mle';
+    // Sandwich estimators need the OLS design; likelihood fits use the observed information
+    if (covType !== 'nonrobust' && likelihood) {
+      throw new Error(`covType "${covType}" is only available for OLS fits (AR + exog, method 'ols', no enforceStationarity)`);
+    }
+    if (penalty !== null && (likelihood || covType !== 'nonrobust')) {
+      throw new Error(`penalty "${penalty}" is only available for OLS fits with covType 'nonrobust'`);
+    }
+    const shrinkage = penalty === null ? null : { type: penalty, lambda, l1Ratio: PENALTIES[penalty] ?? l1Ratio, cvFolds };
+    const conditional = (q > 0 || P > 0 || Q > 0 || constrainAr)
+      ? this.estimateConditionalMLE(endog, exog, constrainAr, { maxIter })
+      : this.estimateOLS(endog, exog, stabilityCorrection, shrinkage);
+    // The conditional estimates also serve as starting values for the exact likelihood
+    const estimate = method === 'mle'
+      ? this.estimateExactMLE(endog, exog, conditional.coefficients, { maxIter })
+      : conditional;
+    this.coefficients = estimate.coefficients;
+    const residuals = estimate.residuals;
+    const y = estimate.observed;
+
+    // Regressors dropped as collinear are not estimated: they have no standard error and
+    // do not count as parameters (nor do the exog coefficients a lasso sets to zero)
+    const collinear = estimate.dropped || [];
+    if (collinear.length > 0) {
+      const names = this.getParamNames();
+      console.warn(`⚠️ Collinear regressors dropped (coefficient fixed at 0): ${collinear.map(i => names[i]).join(', ')}`);
+    }
+    if (estimate.conditionNumber > CONDITION_WARNING && Number.isFinite(estimate.conditionNumber)) {
+      console.warn(`⚠️ Condition number ${estimate.conditionNumber.toExponential(2)}: strong multicollinearity among the regressors`);
     }
-    
-    // Recalculate predictions with potentially corrected coefficients
-    const correctedBeta = math.matrix(this.coefficients);
-    const yPred = math.multiply(XMatrix, correctedBeta);
-    const residuals = math.subtract(yVector, yPred);
 
     const n = y.length;
-    const k = this.coefficients.length;
+    const k = estimate.penalty
+      ? this.coefficients.filter(c => c !== 0).length
+      : this.coefficients.length - collinear.length;
     const sse = math.sum(math.dotMultiply(residuals, residuals));
     const sigma2 = sse / (n - k);
 
-    const covMatrix = math.multiply(sigma2, math.inv(XTX));
-    const diagElements = math.diag(covMatrix);
-    
-    // Convert to regular array if needed
-    const diagArray = Array.isArray(diagElements) ? diagElements : diagElements._data || [diagElements];
-    
-    const stdErrors = diagArray.map(val => {
-      const sqrt = Math.sqrt(Math.abs(val)); // Ensure positive value
-      return sqrt === 0 ? 1e-10 : sqrt; // Avoid division by zero
-    });
-    
-    const tStats = this.coefficients.map((b, i) => {
-      const tStat = b / stdErrors[i];
-      return isNaN(tStat) || !isFinite(tStat) ? 0 : tStat;
-    });
-    
-    const pValues = tStats.map(t => {
-      try {
-        const absT = Math.abs(t);
-        if (!isFinite(absT) || isNaN(absT)) return 0.999;
-        
-        // Manual t-distribution approximation for p-values
-        // Using normal approximation for large degrees of freedom
-        const df = n - k;
-        let pValue;
-        
-        if (df > 30) {
-          // Normal approximation for large df
-          const z = absT;
-          // Approximate standard normal CDF
-          const erfApprox = (x) => {
-            const a1 =  0.254829592;
-            const a2 = -0.284496736;
-            const a3 =  1.421413741;
-            const a4 = -1.453152027;
-            const a5 =  1.061405429;
-            const p  =  0.3275911;
-            const sign = x < 0 ? -1 : 1;
-            x = Math.abs(x);
-            const t = 1.0 / (1.0 + p * x);
-            const y = 1.0 - (((((a5 * t + a4) * t) + a3) * t + a2) * t + a1) * t * Math.exp(-x * x);
-            return sign * y;
-          };
-          const normalCdf = (x) => 0.5 * (1 + erfApprox(x / Math.sqrt(2)));
-          pValue = 2 * (1 - normalCdf(z));
-        } else {
-          // Simple approximation for small df
-          if (absT > 4) pValue = 0.001;
-          else if (absT > 3) pValue = 0.01;
-          else if (absT > 2.5) pValue = 0.02;
-          else if (absT > 2) pValue = 0.05;
-          else if (absT > 1.5) pValue = 0.1;
-          else pValue = 0.2;
-        }
-        
-        return Math.max(0.001, Math.min(0.999, pValue));
-        
-      } catch (e) {
-        console.log('Error calculating p-value for t-stat:', t, e.message);
-        return 0.999;
-      }
-    });
+    const maxlags = covType === 'HAC' ? (options.maxlags ?? neweyWestLags(n)) : null;
+    const covMatrix = estimate.covMatrix ||
+      olsCovariance(estimate.X, residuals, estimate.XTXInverse, covType, { maxlags, df: n - k });
+    collinear.forEach(i => { covMatrix[i][i] = NaN; });
+    const { stdErrors, tStats, pValues } = coefficientStatistics(this.coefficients, covMatrix, n - k);
 
     const meanY = math.mean(y);
     const ssTotal = math.sum(y.map(v => Math.pow(v - meanY, 2)));
     const rSquared = 1 - (sse / ssTotal);
 
-    // Calculate AIC and BIC
-    this.aic = 2 * k - 2 * Math.log(sse / n);
-    this.bic = k * Math.log(n) - 2 * Math.log(sse / n);
+    // Gaussian log-likelihood; OLS fits use the conditional likelihood at sigma2 = SSE / n
+    const llf = estimate.llf !== undefined ? estimate.llf : -0.5 * n * (Math.log(2 * Math.PI * sse / n) + 1);
+
+    this.llf = llf;
+    this.nobs = n;
+    Object.assign(this, informationCriteria(llf, n, k + 1));
 
     this.trained = true;
+    this.method = method;
+    this.fitOptions = Object.fromEntries(FIT_OPTIONS.filter(key => options[key] !== undefined).map(key => [key, options[key]]));
+    this.covType = covType;
+    this.maxlags = maxlags;
+    this.conditionNumber = estimate.conditionNumber ?? null;
+    this.collinear = collinear;
+    this.penalty = estimate.penalty ?? null;
     this.stdErrors = stdErrors;
     this.tStats = tStats;
     this.pValues = pValues;
-    this.residuals = residuals._data;
+    this.dfResid = n - k;
+    this.residuals = residuals;
     this.rSquared = rSquared;
     this.mse = sigma2;
+    // Recursive least squares state for update(): only plain OLS fits have an exact (X'X)^-1
+    // (a stability correction moves the coefficients off the least-squares solution for it)
+    this.rls = estimate.XTXInverse && !estimate.corrected
+      ? { P: estimate.XTXInverse, sse, weight: n, sumY: math.sum(y), sumY2: math.sum(y.map(v => v * v)) }
+      : null;
+
+    // The conditional estimators leave the regular AR part unconstrained; arroots() also
+    // covers the seasonal AR polynomial
+    const arRoots = this.arroots();
+    if (!estimate.corrected && arRoots.length > 0 && arRoots[0].modulus < STATIONARITY_MARGIN) {
+      console.warn(`⚠️ Model stability warning: smallest AR root modulus = ${arRoots[0].modulus.toFixed(6)} (near or inside the unit circle)`);
+      console.warn('   💡 Check the series with adfTest / ppTest / kpssTest (utils/stationarity.js) and difference it (d > 0)' +
+        (constrainAr || method === 'mle' ? '' : ', or refit with { enforceStationarity: true }'));
+    }
 
     return this;
   }
 
-  apply(endogData, exogData) {
+  /**
+   * Refine an OLS fit with new frames by recursive least squares, without refitting.
+   * With forgetting < 1 older frames are down-weighted geometrically (effective memory
+   * about 1 / (1 - forgetting) frames), so the model tracks a drifting performer.
+   * Coefficients, mse, their (nonrobust) standard errors, fit metrics and predictNext
+   * reflect every new frame; residuals are extended with the one-step-ahead errors.
+   * Fits whose AR part was shrunk by stabilityCorrection cannot be updated.
+   * @param {Array} newEndog - New target frames, continuing the training series
+   * @param {Array} newExog - Exog rows of the new frames
+   * @param {Object} options - {forgetting: factor in (0, 1] applied to past frames (default 1,
+   *                            which gives exactly the OLS fit on the extended series)}
+   * @returns {SARIMAX} - this
+   */
+  update(newEndog, newExog, options = {}) {
     if (!this.trained) throw new Error("Model not trained");
+    if (!this.rls)
+      throw new Error("update() needs an OLS fit (AR + exog, method 'ols', no enforceStationarity or penalty, no stability correction applied)");
+    const { forgetting = 1 } = options;
+    if (!(forgetting > 0 && forgetting <= 1))
+      throw new Error(`forgetting must be in (0, 1], got ${forgetting}`);
+    const m = newEndog.length;
+    const numExog = this.exog[0].length;
+    if (!newExog || newExog.length !== m || !newExog.every(row => row.length === numExog))
+      throw new Error(`newExog needs one row of ${numExog} values per new frame (${m})`);
+    if (m === 0) return this;
+
+    this.endog = [...this.endog, ...newEndog];
+    this.exog = [...this.exog, ...newExog];
+
+    // Regression rows of the new frames only, from a window holding their lag and difference history
+    const start = this.endog.length - m - this.lookback;
+    const window = this.difference(this.endog.slice(start), this.exog.slice(start));
+    const offset = start + this.diffPoly.length + this.maxExogLag;
+    const exog = window.exog.map((row, t) => [...this.trendTerms(t + offset), ...row]);
+    const { X, y } = this.buildRegression(window.endog, exog);
+
+    let { P, sse, weight, sumY, sumY2 } = this.rls;
+    const coefficients = this.coefficients.slice();
+    const errors = [];
+    X.forEach((x, t) => {
+      const Px = P.map(row => row.reduce((sum, v, j) => sum + v * x[j], 0));
+      const denom = forgetting + x.reduce((sum, v, j) => sum + v * Px[j], 0);
+      const error = y[t] - x.reduce((sum, v, j) => sum + v * coefficients[j], 0);
+      Px.forEach((v, i) => { coefficients[i] += (v / denom) * error; });
+      P = P.map((row, i) => row.map((v, j) => (v - (Px[i] * Px[j]) / denom) / forgetting));
+      // Weighted SSE recursion: the prior error times the posterior error
+      sse = forgetting * sse + (error * error * forgetting) / denom;
+      weight = forgetting * weight + 1;
+      sumY = forgetting * sumY + y[t];
+      sumY2 = forgetting * sumY2 + y[t] * y[t];
+      errors.push(error);
+    });
+    this.rls = { P, sse, weight, sumY, sumY2 };
+
+    // Sandwich covariances cannot be updated recursively: the statistics fall back to nonrobust
+    const k = coefficients.length - this.collinear.length;
+    const sigma2 = sse / (weight - k);
+    const covMatrix = P.map(row => row.map(v => v * sigma2));
+    this.collinear.forEach(i => { covMatrix[i][i] = NaN; });
+    const { stdErrors, tStats, pValues } = coefficientStatistics(coefficients, covMatrix, weight - k);
+
+    this.coefficients = coefficients;
+    this.stdErrors = stdErrors;
+    this.tStats = tStats;
+    this.pValues = pValues;
+    this.covType = 'nonrobust';
+    this.maxlags = null;
+    this.dfResid = weight - k;
+    this.mse = sigma2;
+    this.nobs = weight;
+    this.rSquared = 1 - sse / (sumY2 - (sumY * sumY) / weight);
+    this.llf = -0.5 * weight * (Math.log(2 * Math.PI * sse / weight) + 1);
+    Object.assign(this, informationCriteria(this.llf, weight, k + 1));
+    this.residuals = [...this.residuals, ...errors];
+    return this;
+  }
+
+  /**
+   * Ordinary least squares on lagged endog plus exog
+   * @param {boolean} stabilityCorrection - Shrink the AR roots out of the unit circle when needed
+   * @param {Object} penalty - {type, lambda (number or 'cv'), l1Ratio, cvFolds} for regularised fits, or null
+   * @returns {Object} - {coefficients, residuals, observed, X, XTXInverse, dropped, conditionNumber, corrected},
+   *                     or {coefficients, residuals, observed, covMatrix, penalty} when penalized
+   */
+  estimateOLS(endog, exog, stabilityCorrection = false, penalty = null) {
+    const { X, y } = this.buildRegression(endog, exog);
+    const numExog = exog[0].length;
+
+    // Rank-revealing QR drops collinear regressors (coefficient 0); shrinkage only when asked for
+    const solution = penalty ? this.estimatePenalized(X, y, numExog, penalty) : leastSquares(X, y);
+    const coefficients = solution.coefficients;
     
-    // Create a temporary model instance for prediction
-    const tempModel = {
-      endog: endogData,
-      exog: exogData,
-      coefficients: this.coefficients,
-      order: this.order,
-      getPrediction: () => {
-        const lastEndog = endogData.slice(-this.order);
-        const lastExog = exogData[exogData.length - 1];
-        const input = [...lastExog, ...lastEndog];
-        const prediction = math.dot(input, this.coefficients);
-        return {
-          predicted_mean: [prediction]
-        };
+    // Opt-in stability correction: phi_j -> phi_j c^j divides every AR root by c,
+    // which moves the smallest one out to the stationarity margin
+    const arRoots = lagPolynomialRoots(coefficients.slice(numExog));
+    const corrected = stabilityCorrection && arRoots.length > 0 && arRoots[0].modulus < STATIONARITY_MARGIN;
+    if (corrected) {
+      const factor = arRoots[0].modulus / STATIONARITY_MARGIN;
+      for (let i = numExog; i < coefficients.length; i++) {
+        coefficients[i] *= Math.pow(factor, i - numExog + 1);
       }
-    };
+      console.log(`✅ Applied stability correction: AR roots scaled by ${(1 / factor).toFixed(6)}`);
+    }
     
-    return tempModel;
+    // Recalculate residuals with potentially corrected coefficients
+    const residuals = y.map((v, t) => v - X[t].reduce((sum, x, j) => sum + x * coefficients[j], 0));
+
+    if (penalty) {
+      // Shrunk coefficients have no usable sampling covariance: standard errors are reported as NaN
+      const covMatrix = coefficients.map(() => coefficients.map(() => NaN));
+      return { coefficients, residuals, observed: y, covMatrix, penalty: solution.penalty, corrected };
+    }
+    return {
+      coefficients,
+      residuals,
+      observed: y,
+      X,
+      XTXInverse: solution.XTXInverse,
+      dropped: solution.dropped,
+      conditionNumber: solution.conditionNumber,
+      corrected
+    };
+  }
+
+  /**
+   * Ridge / lasso / elastic net on the OLS design. Only the exog columns are penalized:
+   * the trend and AR columns are partialled out and estimated by least squares.
+   * @param {number} numExog - Trend plus exog columns at the start of each design row
+   * @param {Object} penalty - {type, lambda (number or 'cv'), l1Ratio, cvFolds}
+   * @returns {Object} - {coefficients, penalty: {type, lambda, l1Ratio, cv (null unless lambda was 'cv')}}
+   */
+  estimatePenalized(X, y, numExog, penalty) {
+    const numTrend = TREND_TERMS[this.trend].length;
+    const penalized = X[0].map((_, j) => j >= numTrend && j < numExog);
+    const { type, l1Ratio, cvFolds } = penalty;
+
+    let { lambda } = penalty;
+    let cv = null;
+    if (lambda === 'cv') {
+      cv = crossValidateLambda(X, y, { l1Ratio, penalized, folds: cvFolds });
+      lambda = cv.lambda;
+      console.log(`🪢 ${type} lambda = ${lambda.toExponential(3)} chosen by ${cvFolds}-fold time-series CV`);
+    } else if (!(typeof lambda === 'number' && lambda >= 0)) {
+      throw new Error(`lambda must be a non-negative number or 'cv', got ${lambda}`);
+    }
+
+    const { coefficients } = elasticNet(X, y, { lambda, l1Ratio, penalized });
+    return { coefficients, penalty: { type, lambda, l1Ratio, cv } };
+  }
+
+  /**
+   * Conditional maximum likelihood for models with MA or seasonal AR terms.
+   * The (seasonal) MA errors are cast in state-space form and filtered exactly with a
+   * Kalman filter; exog and AR coefficients are concentrated out by GLS, so the optimizer
+   * only searches over the constrained seasonal AR and MA coefficients.
+   * @param {boolean} constrainAr - Search the regular AR part through the stationary
+   *                                reparameterisation instead of concentrating it out
+   * @param {Object} optimizer - Nelder-Mead options {maxIter, tol}
+   * @returns {Object} - {coefficients, residuals, observed, covMatrix, llf, dropped, conditionNumber}
+   */
+  estimateConditionalMLE(endog, exog, constrainAr = false, optimizer = {}) {
+    const [p, , q] = this.order;
+    const { P, Q, s } = this.seasonalOrder;
+    const numExog = exog[0].length;
+    const k = numExog + p;
+    const numAr = constrainAr ? p : 0;
+
+    // Stationary (seasonal) AR and invertible (seasonal) MA polynomials
+    const transform = (unconstrained) => ({
+      ar: constrainStationary(unconstrained.slice(0, numAr)),
+      seasonalAr: constrainStationary(unconstrained.slice(numAr, numAr + P)),
+      ma: constrainStationary(unconstrained.slice(numAr + P, numAr + P + q)).map(v => -v),
+      seasonalMa: constrainStationary(unconstrained.slice(numAr + P + q)).map(v => -v)
+    });
+    const combinedMa = (ma, seasonalMa) => polyMultiply([1, ...ma], seasonalPolynomial(seasonalMa, s)).slice(1);
+
+    const profile = (unconstrained, diagnose = false) => {
+      const { ar, seasonalAr, ma, seasonalMa } = transform(unconstrained);
+      const { X, y, observed } = this.buildRegression(endog, exog, seasonalAr);
+      // A constrained AR part is filtered out of y, leaving only exog to concentrate out
+      const target = y.map((v, t) => v - ar.reduce((sum, phi, j) => sum + phi * X[t][numExog + j], 0));
+      const columns = [target, ...Array.from({length: k - numAr}, (_, j) => X.map(row => row[j]))];
+      const { innovations, F } = kalmanFilter(armaStateSpace([], combinedMa(ma, seasonalMa)), columns);
+      const { beta, residuals, dropped, conditionNumber } = concentrateRegression(innovations, F, { conditionNumber: diagnose });
+      return {
+        seasonalAr, ma, seasonalMa, beta: [...beta, ...ar], residuals, observed, dropped, conditionNumber,
+        ...concentratedLoglike(residuals, F)
+      };
+    };
+
+    const optimum = nelderMead(u => -profile(u).llf, new Array(numAr + P + q + Q).fill(0), optimizer);
+    if (!optimum.converged) {
+      console.warn(`⚠️ Likelihood optimization did not converge after ${optimum.iterations} iterations (see fit({ maxIter }))`);
+    }
+    const best = profile(optimum.x, true);
+    const coefficients = [...best.beta, ...best.ma, ...best.seasonalAr, ...best.seasonalMa];
+
+    // Parameter covariance from the observed information of the full likelihood
+    const loglike = (params) => {
+      const beta = params.slice(0, k);
+      const ma = params.slice(k, k + q);
+      const seasonalAr = params.slice(k + q, k + q + P);
+      const seasonalMa = params.slice(k + q + P);
+      const { X, y } = this.buildRegression(endog, exog, seasonalAr);
+      const errors = y.map((v, t) => v - X[t].reduce((sum, x, j) => sum + x * beta[j], 0));
+      const { innovations, F } = kalmanFilter(armaStateSpace([], combinedMa(ma, seasonalMa)), [errors]);
+      return concentratedLoglike(innovations[0], F).llf;
+    };
+    // Concentrated regressors come first, so their dropped indices are coefficient indices
+    const covMatrix = observedCovariance(loglike, coefficients, best.dropped);
+
+    return {
+      coefficients,
+      residuals: best.residuals,
+      observed: best.observed,
+      covMatrix,
+      llf: best.llf,
+      dropped: best.dropped,
+      conditionNumber: best.conditionNumber
+    };
+  }
+
+  /**
+   * Exact maximum likelihood on the differenced series.
+   * The full (seasonal) ARMA part lives in the state vector with a stationary initial
+   * state, exog enters as a state intercept and is concentrated out by GLS through an
+   * augmented Kalman filter; Nelder-Mead searches over the constrained AR/MA coefficients.
+   * @param {Array} startCoefficients - Conditional estimates used as starting values
+   * @param {Object} optimizer - Nelder-Mead options {maxIter, tol}
+   * @returns {Object} - {coefficients, residuals, observed, covMatrix, llf, dropped, conditionNumber}
+   */
+  estimateExactMLE(endog, exog, startCoefficients, optimizer = {}) {
+    const [p, , q] = this.order;
+    const { P, Q, s } = this.seasonalOrder;
+    const numExog = exog[0].length;
+    const n = endog.length;
+    const exogColumns = Array.from({length: numExog}, (_, j) => exog.map(row => row[j]));
+    const zeros = new Array(n).fill(0);
+
+    const transform = (unconstrained) => ({
+      ar: constrainStationary(unconstrained.slice(0, p)),
+      ma: constrainStationary(unconstrained.slice(p, p + q)).map(v => -v),
+      seasonalAr: constrainStationary(unconstrained.slice(p + q, p + q + P)),
+      seasonalMa: constrainStationary(unconstrained.slice(p + q + P)).map(v => -v)
+    });
+    const stateSpace = (blocks) => {
+      const { ar, ma } = expandPolynomials(blocks, s);
+      const system = armaStateSpace(ar, ma);
+      return { system, initialCovariance: stationaryCovariance(system).P };
+    };
+
+    const profile = (unconstrained, diagnose = false) => {
+      const blocks = transform(unconstrained);
+      const { system, initialCovariance } = stateSpace(blocks);
+      // Each exog column is filtered as its own (negated) regression effect on the innovations
+      const series = [endog, ...exogColumns.map(() => zeros)];
+      const intercepts = [null, ...exogColumns.map(column => column.map(v => -v))];
+      const initialMeans = [null, ...exogColumns.map(column => stationaryMean(system.phi, -column[0]))];
+      const { innovations, F } = kalmanFilter(system, series, { initialCovariance, intercepts, initialMeans });
+      const { beta, residuals, dropped, conditionNumber } = concentrateRegression(innovations, F, { conditionNumber: diagnose });
+      return { ...blocks, beta, residuals, dropped, conditionNumber, ...concentratedLoglike(residuals, F) };
+    };
+
+    const start = this.splitParams(startCoefficients);
+    const x0 = [
+      ...startingUnconstrained(start.ar),
+      ...startingUnconstrained(start.ma.map(v => -v)),
+      ...startingUnconstrained(start.seasonalAr),
+      ...startingUnconstrained(start.seasonalMa.map(v => -v))
+    ];
+    const optimum = nelderMead(u => -profile(u).llf, x0, optimizer);
+    if (!optimum.converged) {
+      console.warn(`⚠️ Exact likelihood optimization did not converge after ${optimum.iterations} iterations (see fit({ maxIter }))`);
+    }
+    const best = profile(optimum.x, true);
+    const coefficients = [...best.beta, ...best.ar, ...best.ma, ...best.seasonalAr, ...best.seasonalMa];
+
+    // Parameter covariance from the observed information of the full likelihood
+    const loglike = (params) => {
+      const blocks = this.splitParams(params);
+      const { system, initialCovariance } = stateSpace(blocks);
+      const beta = [...blocks.trend, ...blocks.exog];
+      const intercept = exog.map(row => row.reduce((sum, x, j) => sum + x * beta[j], 0));
+      const { innovations, F } = kalmanFilter(system, [endog], {
+        initialCovariance,
+        intercepts: [intercept],
+        initialMeans: [stationaryMean(system.phi, intercept[0])]
+      });
+      return concentratedLoglike(innovations[0], F).llf;
+    };
+    const covMatrix = observedCovariance(loglike, coefficients, best.dropped);
+
+    return {
+      coefficients,
+      residuals: best.residuals,
+      observed: endog,
+      covMatrix,
+      llf: best.llf,
+      dropped: best.dropped,
+      conditionNumber: best.conditionNumber
+    };
+  }
+
+  /**
+   * Split a coefficient vector into its trend, exog, AR, MA and seasonal blocks
+   * @param {Array} coefficients - Defaults to the fitted coefficients
+   * @returns {Object} - {trend, exog, ar, ma, seasonalAr, seasonalMa}
+   */
+  splitParams(coefficients = this.coefficients) {
+    const [p, , q] = this.order;
+    const { P, Q } = this.seasonalOrder;
+    const sizes = {
+      trend: TREND_TERMS[this.trend].length,
+      exog: this.exogLags.reduce((sum, k) => sum + k + 1, 0),
+      ar: p,
+      ma: q,
+      seasonalAr: P,
+      seasonalMa: Q
+    };
+    const blocks = {};
+    let offset = 0;
+    for (const [name, size] of Object.entries(sizes)) {
+      blocks[name] = coefficients.slice(offset, offset + size);
+      offset += size;
+    }
+    return blocks;
+  }
+
+  /**
+   * Expanded AR and MA lag polynomials of the differenced model, i.e.
+   * w_t = x_t b + sum_j ar[j-1] w_{t-j} + e_t + sum_j ma[j-1] e_{t-j}
+   * @returns {Object} - {ar, ma}
+   */
+  lagPolynomials() {
+    return expandPolynomials(this.splitParams(), this.seasonalOrder.s);
+  }
+
+  /**
+   * Roots of the AR polynomial phi(z) Phi(z^s); the model is stationary when every modulus exceeds 1
+   * @returns {Array} - {real, imag, modulus} per root, smallest modulus first
+   */
+  arroots() {
+    if (!this.trained) throw new Error("Model not trained");
+    const { ar, seasonalAr } = this.splitParams();
+    return [...lagPolynomialRoots(ar), ...lagPolynomialRoots(seasonalAr, this.seasonalOrder.s)]
+      .sort((a, b) => a.modulus - b.modulus);
+  }
+
+  /**
+   * Roots of the MA polynomial theta(z) Theta(z^s); the model is invertible when every modulus exceeds 1
+   * @returns {Array} - {real, imag, modulus} per root, smallest modulus first
+   */
+  maroots() {
+    if (!this.trained) throw new Error("Model not trained");
+    const { ma, seasonalMa } = this.splitParams();
+    return [
+      ...lagPolynomialRoots(ma.map(v => -v)),
+      ...lagPolynomialRoots(seasonalMa.map(v => -v), this.seasonalOrder.s)
+    ].sort((a, b) => a.modulus - b.modulus);
+  }
+
+  /**
+   * Parameter names in coefficient order (statsmodels style: const, drift, ar.L1, ma.L1, ar.S.L12, ...)
+   * @param {Array} exogNames - Names of the exogenous variables (defaults to the exogNames option,
+   *                             then x1, x2, ...; lagged rows get a _T-k suffix)
+   * @returns {Array} - One name per coefficient
+   */
+  getParamNames(exogNames = this.exogNames) {
+    const [p, , q] = this.order;
+    const { P, Q, s } = this.seasonalOrder;
+    const numExog = this.exog[0].length;
+    const names = exogNames || Array.from({length: numExog}, (_, i) => `x${i + 1}`);
+    const exogTerms = names.flatMap((name, j) =>
+      Array.from({length: this.exogLags[j] + 1}, (_, lag) => (lag === 0 ? name : `${name}_T-${lag}`))
+    );
+    return [
+      ...TREND_TERMS[this.trend],
+      ...exogTerms,
+      ...Array.from({length: p}, (_, i) => `ar.L${i + 1}`),
+      ...Array.from({length: q}, (_, i) => `ma.L${i + 1}`),
+      ...Array.from({length: P}, (_, i) => `ar.S.L${(i + 1) * s}`),
+      ...Array.from({length: Q}, (_, i) => `ma.S.L${(i + 1) * s}`)
+    ];
+  }
+
+  /**
+   * Results on new data only (e.g. a Train_Bending model evaluated on Test_Bending),
+   * like statsmodels' results.apply
+   * @param {Array} endog - New target series
+   * @param {Array} exog - Exog rows aligned with endog
+   * @param {Object} options - {refit: re-estimate on the new data (default false keeps the
+   *                            fitted parameters), fitOptions: fit() options overriding the
+   *                            original ones when refitting}
+   * @returns {SARIMAX} - New results with fittedValues over the new series
+   */
+  apply(endog, exog, options = {}) {
+    const { refit = false, fitOptions = {} } = options;
+    return this.withData(endog, exog, 0, refit, fitOptions);
+  }
+
+  /**
+   * Results on the training series followed by new frames, like statsmodels' results.append
+   * @param {Array} endog - New target frames, continuing the training series
+   * @param {Array} exog - Exog rows aligned with endog
+   * @param {Object} options - {refit: re-estimate on the whole series (default false),
+   *                            fitOptions: fit() options overriding the original ones when refitting}
+   * @returns {SARIMAX} - New results with fittedValues over the whole series
+   */
+  append(endog, exog, options = {}) {
+    const { refit = false, fitOptions = {} } = options;
+    return this.withData([...this.endog, ...endog], [...this.exog, ...exog], 0, refit, fitOptions);
+  }
+
+  /**
+   * Results on new frames that continue the training series, like statsmodels' results.extend:
+   * the fitted parameters are kept and the training frames only serve as history (lags,
+   * differencing, MA innovations and the time index of trends)
+   * @param {Array} endog - New target frames, continuing the training series
+   * @param {Array} exog - Exog rows aligned with endog
+   * @returns {SARIMAX} - New results with fittedValues over the new frames only
+   */
+  extend(endog, exog) {
+    return this.withData([...this.endog, ...endog], [...this.exog, ...exog], this.endog.length, false, {});
+  }
+
+  /**
+   * New results object on (endog, exog) with the same specification. Without refit the
+   * parameters, their statistics and mse are carried over; residuals, mse-based llf,
+   * information criteria, R² and diagnostics describe the one-step-ahead errors from frame
+   * `start` onwards.
+   * @param {number} start - First frame covered by fittedValues
+   * @returns {SARIMAX} - Results with fittedValues (one per frame from start, NaN without
+   *                      lookback frames of history) and residuals (frames with a prediction)
+   */
+  withData(endog, exog, start, refit, fitOptions) {
+    if (!this.trained) throw new Error("Model not trained");
+    const numExog = this.exog[0].length;
+    if (!exog || exog.length !== endog.length || !exog.every(row => row.length === numExog))
+      throw new Error(`exog needs one row of ${numExog} values per endog frame (${endog.length})`);
+
+    const results = new SARIMAX(endog, exog, this.order, {
+      seasonalOrder: this.seasonalOrder,
+      trend: this.trend,
+      exogLags: this.exogLags,
+      endogName: this.endogName,
+      exogNames: this.exogNames,
+      scaler: this.scaler
+    });
+    if (refit) {
+      // The caller's own options are replayed, so a default HAC bandwidth follows the new length
+      results.fit({ ...this.fitOptions, ...fitOptions });
+    } else {
+      for (const key of ['coefficients', 'stdErrors', 'tStats', 'pValues', 'dfResid', 'mse', 'method',
+        'covType', 'maxlags', 'penalty', 'fitOptions', 'conditionNumber', 'collinear']) {
+        results[key] = this[key];
+      }
+      results.trained = true;
+    }
+
+    // One-step-ahead predictions from a single pass of the innovations recursion over the
+    // whole series (the same recursion predictNext runs on its window)
+    const degree = this.diffPoly.length - 1;
+    const diffEndog = applyLagPolynomial(endog, this.diffPoly);
+    const exogColumns = this.differencedExogColumns(exog);
+    const regressionAt = (t) => results.regressionMean(exogColumns.map(column => column[t - this.maxExogLag]), t + degree + 1);
+    const first = results.innovationsStart();
+    const means = results.conditionalMeans(diffEndog, regressionAt, first);
+    const fittedValues = [];
+    const errors = [];
+    const observed = [];
+    for (let i = start; i < endog.length; i++) {
+      if (i < this.lookback) {
+        fittedValues.push(NaN);
+        continue;
+      }
+      // Integrate back: y_t = w_t - sum_{j>=1} diffPoly[j] * y_{t-j}
+      let prediction = means[i - degree - first];
+      for (let j = 1; j <= degree; j++) prediction -= this.diffPoly[j] * endog[i - j];
+      fittedValues.push(prediction);
+      errors.push(endog[i] - prediction);
+      observed.push(this.diffPoly.reduce((sum, c, j) => sum + c * endog[i - j], 0));
+    }
+    results.fittedValues = fittedValues;
+    if (refit) return results;
+    if (errors.length === 0) throw new Error(`No frame has the ${this.lookback} frames of history needed for a prediction`);
+
+    // Fit measures of the fixed parameters on the covered frames (the level and differenced
+    // one-step errors coincide, so R² is on the differenced scale like fit())
+    const n = errors.length;
+    const sse = errors.reduce((sum, e) => sum + e * e, 0);
+    const meanObserved = observed.reduce((sum, v) => sum + v, 0) / n;
+    const k = this.coefficients.length - this.collinear.length;
+    results.residuals = errors;
+    results.nobs = n;
+    results.rSquared = 1 - sse / observed.reduce((sum, v) => sum + Math.pow(v - meanObserved, 2), 0);
+    results.llf = -0.5 * n * Math.log(2 * Math.PI * this.mse) - 0.5 * sse / this.mse;
+    Object.assign(results, informationCriteria(results.llf, n, k + 1));
+    return results;
   }
 
-  predictNext(lastEndog, nextExog) {
+  /**
+   * One-step-ahead prediction in original (undifferenced) units
+   * @param {Array} lastEndog - At least `lookback` past endog values, oldest first
+   * @param {Array} nextExog - Exog row for the predicted frame
+   * @param {Array} lastExog - Exog rows aligned with lastEndog (needed when d > 0, q > 0 or with exogLags)
+   * @param {number} time - 1-based position of the predicted frame, used by time trends
+   *                        (defaults to the frame right after lastEndog)
+   * @returns {number} - Predicted endog value
+   */
+  predictNext(lastEndog, nextExog, lastExog = null, time = lastEndog.length + 1) {
     if (!this.trained) throw new Error("Model not trained");
-    if (lastEndog.length !== this.order || nextExog.length !== this.exog[0].length)
+    if (lastEndog.length < this.lookback || nextExog.length !== this.exog[0].length)
       throw new Error("Mismatch in input dimensions");
 
-    const input = [...nextExog, ...lastEndog];
-    const prediction = math.dot(input, this.coefficients);
+    const { ma } = this.lagPolynomials();
+    const needsExogHistory = nextExog.length > 0 &&
+      (this.diffPoly.length > 1 || ma.length > 0 || this.maxExogLag > 0);
+    if (needsExogHistory && (!lastExog || lastExog.length !== lastEndog.length))
+      throw new Error("Differenced, MA or lagged-exog models need exog rows aligned with lastEndog to predict");
+
+    // Differenced endog history and differenced regressor rows (the last one is for the next frame)
+    const diffEndog = applyLagPolynomial(lastEndog, this.diffPoly);
+    const exogColumns = this.differencedExogColumns(needsExogHistory ? [...lastExog, nextExog] : [nextExog]);
+    // Regressors exist from diffEndog position maxExogLag onwards
+    const diffExogAt = (t) => exogColumns.map(column => column[column.length - (diffEndog.length - t) - 1]);
+    const regressionAt = (t) => this.regressionMean(diffExogAt(t), time - (diffEndog.length - t));
+
+    // Rebuild recent innovations over the supplied window (pre-window innovations are zero)
+    const first = ma.length > 0 ? this.innovationsStart() : diffEndog.length;
+    const means = this.conditionalMeans(diffEndog, regressionAt, first);
+    const diffPrediction = means[means.length - 1];
+
+    // Integrate back: y_t = w_t - sum_{j>=1} diffPoly[j] * y_{t-j}
+    let prediction = diffPrediction;
+    for (let j = 1; j < this.diffPoly.length; j++) {
+      prediction -= this.diffPoly[j] * lastEndog[lastEndog.length - j];
+    }
     return prediction;
   }
 
-  summary() {
+  /**
+   * Differenced regressor columns of exog rows (lagged columns included); column entry c
+   * belongs to frame c + maxExogLag + (degree of differencing)
+   * @param {Array} exogRows - Exog rows [frames, variables]
+   * @returns {Array} - One array per regressor
+   */
+  differencedExogColumns(exogRows) {
+    const regressors = this.expandExog(exogRows);
+    const numRegressors = this.splitParams().exog.length;
+    return Array.from({length: numRegressors}, (_, col) =>
+      applyLagPolynomial(regressors.map(row => row[col]), this.diffPoly)
+    );
+  }
+
+  /**
+   * Trend plus exog part x_t b of the differenced model at one frame
+   * @param {Array} diffExog - Differenced regressor row of the frame
+   * @param {number} time - 1-based position of the frame, used by time trends
+   * @returns {number} - Regression mean
+   */
+  regressionMean(diffExog, time) {
+    const { trend: trendBeta, exog: beta } = this.splitParams();
+    let mean = math.sum(diffExog.map((x, i) => x * beta[i]));
+    mean += this.trendTerms(time).reduce((sum, x, i) => sum + x * trendBeta[i], 0);
+    return mean;
+  }
+
+  /**
+   * First differenced position whose innovation can be rebuilt (its AR and exog lags exist)
+   */
+  innovationsStart() {
+    return Math.max(this.lagPolynomials().ar.length, this.maxExogLag);
+  }
+
+  /**
+   * Conditional means of the differenced series given everything before each position,
+   * rebuilding the MA innovations along the way (innovations before `from` are zero)
+   * @param {Array} diffEndog - Differenced endog
+   * @param {Function} regressionAt - Regression mean of position t
+   * @param {number} from - First position
+   * @returns {Array} - Means of positions from..diffEndog.length (the last one is the next frame)
+   */
+  conditionalMeans(diffEndog, regressionAt, from) {
+    const { ar, ma } = this.lagPolynomials();
+    const innovations = new Array(diffEndog.length).fill(0);
+    const means = [];
+    for (let t = from; t <= diffEndog.length; t++) {
+      let mean = regressionAt(t);
+      for (let j = 1; j <= ar.length; j++) mean += ar[j - 1] * diffEndog[t - j];
+      for (let j = 1; j <= ma.length && t - j >= 0; j++) mean += ma[j - 1] * innovations[t - j];
+      means.push(mean);
+      if (t < diffEndog.length) innovations[t] = diffEndog[t] - mean;
+    }
+    return means;
+  }
+
+  /**
+   * Multi-step forecast with standard errors from the MA(infinity) form of the level model
+   * @param {number} steps - Number of frames to forecast
+   * @param {Array} exogFuture - One exog row per forecast frame
+   * @param {Object} options - {endog, exog}: history to forecast from (defaults to the training data),
+   *                            {time}: 1-based position of the first forecast frame (defaults to endog.length + 1)
+   * @returns {PredictionResults} - predicted_mean, se_mean and conf_int(alpha)
+   */
+  getForecast(steps, exogFuture, options = {}) {
+    if (!this.trained) throw new Error("Model not trained");
+    if (!Number.isInteger(steps) || steps < 1)
+      throw new Error(`steps must be a positive integer, got ${steps}`);
+    if (!exogFuture || exogFuture.length < steps)
+      throw new Error(`exogFuture needs one row per step (${steps}), got ${exogFuture ? exogFuture.length : 0}`);
+
+    const endog = options.endog || this.endog;
+    const exog = options.exog || (options.endog ? null : this.exog);
+    if (endog.length < this.lookback)
+      throw new Error(`Forecasting needs at least ${this.lookback} past endog values, got ${endog.length}`);
+
+    const { time = endog.length + 1 } = options;
+
+    // Recursive point forecasts: future innovations are zero, forecasts feed the next step
+    const endogPath = endog.slice();
+    const exogPath = exog ? exog.slice(-endog.length) : null;
+    const predictedMean = [];
+    for (let h = 0; h < steps; h++) {
+      const prediction = this.predictNext(endogPath, exogFuture[h], exogPath, time + h);
+      predictedMean.push(prediction);
+      endogPath.push(prediction);
+      if (exogPath) exogPath.push(exogFuture[h]);
+    }
+
+    // Level-space AR polynomial phi(B) Phi(B^s) (1 - B)^d (1 - B^s)^D in prediction form
+    const { ar, ma } = this.lagPolynomials();
+    const levelAr = polyMultiply([1, ...ar.map(v => -v)], this.diffPoly).slice(1).map(v => -v);
+    const psi = psiWeights(levelAr, ma, steps);
+    let cumulative = 0;
+    const varPredMean = psi.map(weight => {
+      cumulative += weight * weight;
+      return this.mse * cumulative;
+    });
+
+    return new PredictionResults(predictedMean, varPredMean);
+  }
+
+  /**
+   * Multi-step forecast with prediction intervals
+   * @param {number} steps - Number of frames to forecast
+   * @param {Array} exogFuture - One exog row per forecast frame
+   * @param {Object} options - {alpha, endog, exog, time} (see getForecast)
+   * @returns {Object} - {mean, se, lower, upper} arrays, one entry per horizon
+   */
+  forecast(steps, exogFuture, options = {}) {
+    const { alpha = 0.05 } = options;
+    const results = this.getForecast(steps, exogFuture, options);
+    const intervals = results.conf_int(alpha);
+    return {
+      mean: results.predicted_mean,
+      se: results.se_mean,
+      lower: intervals.map(interval => interval[0]),
+      upper: intervals.map(interval => interval[1])
+    };
+  }
+
+  /**
+   * Response of the target to a one-unit shock at frame 0, for frames 0..steps
+   * - 'endog': shock to the innovation e_0, i.e. the psi-weights of the level model
+   *   (the same weights behind getForecast's standard errors)
+   * - 'exog': one-frame pulse in exog variable `variable`; differencing cancels on both sides,
+   *   so the response is the lag coefficients of that variable filtered by the AR polynomial
+   * The cumulative response is the effect of a shock that persists from frame 0 onwards.
+   * @param {number} steps - Number of frames after the shock
+   * @param {Object} options - {impulse: 'endog' | 'exog' (default 'exog' when the model has exog),
+   *                            variable: exog index or name from the exogNames option (default 0)}
+   * @returns {Object} - {impulse, variable (name), response, cumulative}, steps + 1 values each
+   */
+  impulseResponses(steps = 10, options = {}) {
+    if (!this.trained) throw new Error("Model not trained");
+    if (!Number.isInteger(steps) || steps < 0)
+      throw new Error(`steps must be a non-negative integer, got ${steps}`);
+    const numExog = this.exog[0].length;
+    const { impulse = numExog > 0 ? 'exog' : 'endog', variable = 0 } = options;
+    const { ar, ma } = this.lagPolynomials();
+
+    let response;
+    let name = this.endogName || 'endog';
+    if (impulse === 'endog') {
+      const levelAr = polyMultiply([1, ...ar.map(v => -v)], this.diffPoly).slice(1).map(v => -v);
+      response = psiWeights(levelAr, ma, steps + 1);
+    } else if (impulse === 'exog') {
+      const names = this.exogNames || Array.from({length: numExog}, (_, i) => `x${i + 1}`);
+      const index = typeof variable === 'string' ? names.indexOf(variable) : variable;
+      if (!Number.isInteger(index) || index < 0 || index >= numExog)
+        throw new Error(`Unknown exog variable ${JSON.stringify(variable)} (use an index below ${numExog} or one of: ${names.join(', ')})`);
+      name = names[index];
+
+      // Coefficients of x_t, x_{t-1}, ..., x_{t-k} for this variable
+      const start = this.exogLags.slice(0, index).reduce((sum, k) => sum + k + 1, 0);
+      const lagBeta = this.splitParams().exog.slice(start, start + this.exogLags[index] + 1);
+      response = [];
+      for (let h = 0; h <= steps; h++) {
+        let value = h < lagBeta.length ? lagBeta[h] : 0;
+        for (let j = 1; j <= Math.min(h, ar.length); j++) value += ar[j - 1] * response[h - j];
+        response.push(value);
+      }
+    } else {
+      throw new Error(`Unknown impulse "${impulse}" (use 'endog' or 'exog')`);
+    }
+
+    let total = 0;
+    const cumulative = response.map(v => (total += v));
+    return { impulse, variable: name, response, cumulative };
+  }
+
+  /**
+   * Simulate sample paths of the fitted model: the differenced series follows
+   * w_t = trend + x_t b + sum ar_j w_{t-j} + e_t + sum ma_j e_{t-j} with e_t ~ N(0, mse),
+   * then is integrated back to levels, continuing from a history of observed frames
+   * @param {number} nsteps - Number of frames to simulate
+   * @param {Object} options - {exog: one exog row per step (required with exog variables),
+   *                            initialState: {endog, exog} history to continue from (defaults to the
+   *                            training data; recent innovations are rebuilt from it for MA terms),
+   *                            time: 1-based position of the first simulated frame (defaults to the
+   *                            frame after the history), seed: integer for reproducible draws,
+   *                            repetitions: number of independent paths (default 1)}
+   * @returns {Array} - Simulated endog values, or one such path per repetition when repetitions > 1
+   */
+  simulate(nsteps, options = {}) {
+    if (!this.trained) throw new Error("Model not trained");
+    const { exog = null, initialState = {}, seed = null, repetitions = 1 } = options;
+    if (!Number.isInteger(nsteps) || nsteps < 1)
+      throw new Error(`nsteps must be a positive integer, got ${nsteps}`);
+    if (!Number.isInteger(repetitions) || repetitions < 1)
+      throw new Error(`repetitions must be a positive integer, got ${repetitions}`);
+
+    const numExog = this.exog[0].length;
+    if (numExog > 0 && (!exog || exog.length < nsteps))
+      throw new Error(`exog needs one row per simulated step (${nsteps}), got ${exog ? exog.length : 0}`);
+    const history = initialState.endog || this.endog;
+    const historyExog = initialState.exog || (initialState.endog ? null : this.exog);
+    if (history.length < this.lookback)
+      throw new Error(`Simulation needs at least ${this.lookback} past endog values, got ${history.length}`);
+
+    const { trend: trendBeta, exog: beta } = this.splitParams();
+    const { ar, ma } = this.lagPolynomials();
+    const H = history.length;
+    const D = this.diffPoly.length - 1;
+    const needsExogHistory = numExog > 0 && (D > 0 || ma.length > 0 || this.maxExogLag > 0);
+    if (needsExogHistory && (!historyExog || historyExog.length < H))
+      throw new Error("Differenced, MA or lagged-exog models need exog rows for the whole initialState.endog history");
+
+    // Differenced regressors over history + future frames; column index k is frame k + exogOffset
+    const exogRows = needsExogHistory
+      ? [...historyExog.slice(-H), ...exog.slice(0, nsteps)]
+      : (numExog > 0 ? exog.slice(0, nsteps) : []);
+    const regressors = this.expandExog(exogRows);
+    const exogColumns = beta.map((_, col) =>
+      applyLagPolynomial(regressors.map(row => row[col]), this.diffPoly)
+    );
+    const exogOffset = needsExogHistory ? this.maxExogLag + D : H;
+    const { time = H + 1 } = options;
+    const firstTime = time - H;
+
+    // Level and differenced histories shared by every path; innovations before the
+    // reconstruction window are zero, as in predictNext
+    const w = new Array(H).fill(0);
+    for (let i = D; i < H; i++) {
+      w[i] = this.diffPoly.reduce((sum, c, j) => sum + c * history[i - j], 0);
+    }
+    const conditionalMean = (i, wPath, innovations) => {
+      let mean = beta.reduce((sum, b, col) => sum + b * exogColumns[col][i - exogOffset], 0);
+      mean += this.trendTerms(firstTime + i).reduce((sum, x, j) => sum + x * trendBeta[j], 0);
+      for (let j = 1; j <= ar.length; j++) mean += ar[j - 1] * wPath[i - j];
+      for (let j = 1; j <= ma.length && i - j >= 0; j++) mean += ma[j - 1] * innovations[i - j];
+      return mean;
+    };
+    const historyInnovations = new Array(H).fill(0);
+    if (ma.length > 0) {
+      for (let i = D + Math.max(ar.length, this.maxExogLag); i < H; i++) {
+        historyInnovations[i] = w[i] - conditionalMean(i, w, historyInnovations);
+      }
+    }
+
+    const rng = createRng(seed);
+    const sd = Math.sqrt(this.mse);
+    const paths = [];
+    for (let r = 0; r < repetitions; r++) {
+      const levels = history.slice();
+      const wPath = w.slice();
+      const innovations = historyInnovations.slice();
+      for (let i = H; i < H + nsteps; i++) {
+        const innovation = rng.normal(0, sd);
+        const value = conditionalMean(i, wPath, innovations) + innovation;
+        wPath.push(value);
+        innovations.push(innovation);
+        // Integrate back: y_t = w_t - sum_{j>=1} diffPoly[j] * y_{t-j}
+        let level = value;
+        for (let j = 1; j <= D; j++) level -= this.diffPoly[j] * levels[i - j];
+        levels.push(level);
+      }
+      paths.push(levels.slice(H));
+    }
+    return repetitions === 1 ? paths[0] : paths;
+  }
+
+  /**
+   * Confidence intervals for the coefficients (Student-t with the residual degrees of freedom)
+   * @param {number} alpha - Significance level (0.05 gives the [0.025, 0.975] interval)
+   * @returns {Array} - [lower, upper] pair per coefficient
+   */
+  confInt(alpha = 0.05) {
+    if (!this.trained) throw new Error("Model not trained");
+    return confidenceIntervals(this.coefficients, this.stdErrors, this.dfResid, alpha);
+  }
+
+  /**
+   * Residual diagnostics: Ljung-Box, Jarque-Bera, skew/kurtosis, Durbin-Watson and the H test
+   * @param {Object} options - {lags: Ljung-Box lags (default [1, 10]), modelDf (e.g. p + q)}
+   * @returns {Object} - See residualDiagnostics in utils/diagnostics.js
+   */
+  diagnostics(options = {}) {
+    if (!this.trained) throw new Error("Model not trained");
+    return residualDiagnostics(this.residuals, options);
+  }
+
+  /**
+   * Summary of the fitted model
+   * @param {number} alpha - Significance level of the confidence intervals
+   * @returns {Object} - Coefficient table columns and fit statistics
+   */
+  summary(alpha = 0.05) {
     if (!this.trained) return "Model not trained.";
+    const arroots = this.arroots();
     return {
+      paramNames: this.getParamNames(),
       coefficients: this.coefficients,
       stdErrors: this.stdErrors,
       tStats: this.tStats,
       pValues: this.pValues,
+      alpha,
+      confInt: this.confInt(alpha),
       residuals: this.residuals,
       mse: this.mse,
       rSquared: this.rSquared,
+      method: this.method,
+      covType: this.covType,
+      maxlags: this.maxlags,
+      conditionNumber: this.conditionNumber,
+      collinear: this.collinear.map(i => this.getParamNames()[i]),
+      penalty: this.penalty,
+      nobs: this.nobs,
+      llf: this.llf,
       aic: this.aic,
-      bic: this.bic
+      bic: this.bic,
+      hqic: this.hqic,
+      aicc: this.aicc,
+      arroots,
+      maroots: this.maroots(),
+      stationary: arroots.every(root => root.modulus > 1),
+      diagnostics: this.diagnostics()
     };
   }
+
+  /**
+   * Fitted model as plain JSON (JSON.stringify(model) calls this), so a model trained once
+   * can be reloaded with SARIMAX.fromJSON. The training series are included: forecasts
+   * from the end of the sample and time trends depend on them.
+   * @returns {Object} - {schemaVersion, type, spec, data, params, fit, residuals, rls, diagnostics, scaler}
+   */
+  toJSON() {
+    if (!this.trained) throw new Error("Model not trained");
+    return {
+      schemaVersion: SCHEMA_VERSION,
+      type: 'SARIMAX',
+      spec: {
+        order: this.order,
+        seasonalOrder: this.seasonalOrder,
+        trend: this.trend,
+        exogLags: this.exogLags,
+        endogName: this.endogName,
+        exogNames: this.exogNames
+      },
+      data: { endog: this.endog, exog: this.exog },
+      params: {
+        names: this.getParamNames(),
+        coefficients: this.coefficients,
+        stdErrors: this.stdErrors,
+        tStats: this.tStats,
+        pValues: this.pValues
+      },
+      fit: {
+        method: this.method,
+        covType: this.covType,
+        maxlags: this.maxlags,
+        penalty: this.penalty,
+        conditionNumber: this.conditionNumber,
+        collinear: this.collinear,
+        nobs: this.nobs,
+        dfResid: this.dfResid,
+        mse: this.mse,
+        rSquared: this.rSquared,
+        llf: this.llf,
+        aic: this.aic,
+        bic: this.bic,
+        hqic: this.hqic,
+        aicc: this.aicc,
+        options: this.fitOptions
+      },
+      residuals: this.residuals,
+      // Recursive least squares state, so a loaded model can keep adapting with update()
+      rls: this.rls,
+      // Informative copy for readers of the file; fromJSON recomputes it from the residuals
+      diagnostics: this.diagnostics(),
+      scaler: this.scaler ? this.scaler.toJSON() : null
+    };
+  }
+
+  /**
+   * Rebuild a fitted model saved with toJSON (no refitting). Only the fields toJSON writes are
+   * read, with their shapes checked against the saved specification; files with unknown keys
+   * or another schema version are rejected.
+   * @param {Object|string} json - toJSON() output, or its JSON.stringify text
+   * @returns {SARIMAX} - Trained model, with its scaler attached as model.scaler
+   */
+  static fromJSON(json) {
+    const saved = checkSavedKeys(typeof json === 'string' ? JSON.parse(json) : json, 'model');
+    if (saved.type !== 'SARIMAX') {
+      throw new Error("Not a saved SARIMAX model");
+    }
+    if (saved.schemaVersion !== SCHEMA_VERSION) {
+      throw new Error(`Unsupported SARIMAX schema version ${saved.schemaVersion} (this build reads version ${SCHEMA_VERSION})`);
+    }
+
+    let scaler = null;
+    if (saved.scaler !== null && saved.scaler !== undefined) {
+      if (!Object.prototype.hasOwnProperty.call(SCALERS, saved.scaler.type)) {
+        throw new Error(`Unknown scaler type "${saved.scaler.type}"`);
+      }
+      scaler = SCALERS[saved.scaler.type].fromJSON(saved.scaler);
+    }
+
+    // The constructor validates the specification and the exog layout
+    const { order, seasonalOrder, trend, exogLags, endogName, exogNames } = checkSavedKeys(saved.spec, 'spec');
+    const data = checkSavedKeys(saved.data, 'data');
+    const endog = savedNumbers(data.endog, null, 'data.endog');
+    if (!Array.isArray(data.exog) || data.exog.length !== endog.length || data.exog.length === 0) {
+      throw new Error("Saved model: \"data.exog\" must hold one row per endog frame");
+    }
+    const exog = data.exog.map((row, t) => savedNumbers(row, data.exog[0].length, `data.exog[${t}]`));
+    const model = new SARIMAX(endog, exog, order, {
+      seasonalOrder, trend, exogLags, endogName, exogNames, scaler
+    });
+
+    const numParams = model.getParamNames().length;
+    const params = checkSavedKeys(saved.params, 'params');
+    model.coefficients = savedNumbers(params.coefficients, numParams, 'params.coefficients');
+    if (!model.coefficients.every(Number.isFinite)) {
+      throw new Error("Saved model: coefficients must be finite");
+    }
+    model.stdErrors = savedNumbers(params.stdErrors, numParams, 'params.stdErrors');
+    model.tStats = savedNumbers(params.tStats, numParams, 'params.tStats');
+    model.pValues = savedNumbers(params.pValues, numParams, 'params.pValues');
+
+    const fit = checkSavedKeys(saved.fit, 'fit');
+    if (!['ols', 'mle'].includes(fit.method) || typeof fit.covType !== 'string') {
+      throw new Error("Saved model: unknown fit method or covType");
+    }
+    model.method = fit.method;
+    model.covType = fit.covType;
+    model.maxlags = savedNumber(fit.maxlags ?? null, 'fit.maxlags', true);
+    model.conditionNumber = savedNumber(fit.conditionNumber ?? null, 'fit.conditionNumber', true);
+    if (!Array.isArray(fit.collinear) || !fit.collinear.every(i => Number.isInteger(i) && i >= 0 && i < numParams)) {
+      throw new Error("Saved model: \"fit.collinear\" must list coefficient indices");
+    }
+    model.collinear = fit.collinear.slice();
+    for (const key of ['nobs', 'dfResid', 'mse', 'rSquared', 'llf', 'aic', 'bic', 'hqic', 'aicc']) {
+      model[key] = savedNumber(fit[key], `fit.${key}`);
+    }
+    if (fit.penalty !== null && fit.penalty !== undefined) {
+      const penalty = checkSavedKeys(fit.penalty, 'penalty');
+      if (!(penalty.type in PENALTIES)) throw new Error(`Saved model: unknown penalty "${penalty.type}"`);
+      let cv = null;
+      if (penalty.cv !== null && penalty.cv !== undefined) {
+        const savedCv = checkSavedKeys(penalty.cv, 'cv');
+        const lambdas = savedNumbers(savedCv.lambdas, null, 'fit.penalty.cv.lambdas');
+        cv = {
+          lambda: savedNumber(savedCv.lambda, 'fit.penalty.cv.lambda'),
+          lambdas,
+          scores: savedNumbers(savedCv.scores, lambdas.length, 'fit.penalty.cv.scores'),
+          folds: savedNumber(savedCv.folds, 'fit.penalty.cv.folds')
+        };
+      }
+      model.penalty = {
+        type: penalty.type,
+        lambda: savedNumber(penalty.lambda, 'fit.penalty.lambda'),
+        l1Ratio: savedNumber(penalty.l1Ratio, 'fit.penalty.l1Ratio'),
+        cv
+      };
+    }
+    if (fit.options !== null && fit.options !== undefined) {
+      const options = checkSavedKeys(fit.options, 'options');
+      if (!Object.values(options).every(v => v === null || ['string', 'number', 'boolean'].includes(typeof v))) {
+        throw new Error("Saved model: \"fit.options\" must hold plain values");
+      }
+      model.fitOptions = { ...options };
+    } else {
+      // Files without the options: refits use what the fit itself recorded
+      model.fitOptions = { method: model.method, covType: model.covType };
+      if (model.penalty) {
+        Object.assign(model.fitOptions, { penalty: model.penalty.type, lambda: model.penalty.lambda, l1Ratio: model.penalty.l1Ratio });
+      }
+    }
+
+    model.residuals = savedNumbers(saved.residuals, null, 'residuals');
+    if (saved.rls !== null && saved.rls !== undefined) {
+      const rls = checkSavedKeys(saved.rls, 'rls');
+      if (!Array.isArray(rls.P) || rls.P.length !== numParams) {
+        throw new Error(`Saved model: "rls.P" must be ${numParams} x ${numParams}`);
+      }
+      model.rls = {
+        P: rls.P.map((row, i) => savedNumbers(row, numParams, `rls.P[${i}]`)),
+        sse: savedNumber(rls.sse, 'rls.sse'),
+        weight: savedNumber(rls.weight, 'rls.weight'),
+        sumY: savedNumber(rls.sumY, 'rls.sumY'),
+        sumY2: savedNumber(rls.sumY2, 'rls.sumY2')
+      };
+    }
+    model.trained = true;
+    return model;
+  }
 } 
\ No newline at end of file
@@ -49,4 +49,21 @@ export class StandardScaler {
     if (!this.mean || !this.std) throw new Error("Scaler not fitted");
     return values.map((val, i) => val * this.std[i] + this.mean[i]);
   }
+
+  // Fitted state as plain JSON (saved alongside a SARIMAX model)
+  toJSON() {
+    if (!this.mean || !this.std) throw new Error("Scaler not fitted");
+    return { type: 'StandardScaler', mean: this.mean, std: this.std };
+  }
+
+  static fromJSON(json) {
+    const valid = Object.keys(json).every(key => ['type', 'mean', 'std'].includes(key)) &&
+      [json.mean, json.std].every(values => Array.isArray(values) && values.every(v => typeof v === 'number')) &&
+      json.mean.length === json.std.length;
+    if (!valid) throw new Error("Invalid saved StandardScaler: expected mean and std arrays of equal length");
+    const scaler = new StandardScaler();
+    scaler.mean = json.mean;
+    scaler.std = json.std;
+    return scaler;
+  }
 } 
\ No newline at end of file
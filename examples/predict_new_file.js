@@ -175,7 +175,9 @@ createPlot(
   staticResults.predStatic, 
   `Static Prediction - ${targetJoint}`, 
   staticPlotFile, 
-  'Static'
+  'Static',
+  null,
+  staticResults
 );
 
 createPlot(
@@ -183,7 +185,9 @@ createPlot(
   dynamicResults.predDynamic, 
   `Dynamic Prediction - ${targetJoint}`, 
   dynamicPlotFile, 
-  'Dynamic'
+  'Dynamic',
+  null,
+  dynamicResults
 );
 
 console.log(`📊 Static plot saved: ${staticPlotFile}`);
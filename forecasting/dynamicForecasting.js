@@ -1,38 +1,38 @@
 // Dynamic forecasting function
-export function dynamicForecasting(model, testData, indEnd, indExo, scaler, targetAngleIndex) {
+export function dynamicForecasting(model, testData, indEnd, indExo, scaler, targetAngleIndex, alpha = 0.05) {
   const nob = testData.length;
   const endoData = testData.map(row => row[indEnd]);
   const exogData = testData.map(row => indExo.map(idx => row[idx]));
   
   // Initialize with real first values
-  const predDynamic = [...endoData.slice(0, model.order)];
   const origValues = [...endoData];
 
-  // Dynamic prediction: use previous predictions
-  for (let i = model.order; i < nob; i++) {
-    const forecast = model.apply(
-      predDynamic.slice(i - model.order, i), 
-      exogData.slice(i - model.order, i)
-    );
-    const pred = forecast.getPrediction();
-    const predMean = pred.predicted_mean[0];
-    
-    predDynamic.push(predMean);
-  }
+  // Dynamic prediction: a multi-step forecast from the seeded frames, fed with the real exog
+  const forecast = model.getForecast(nob - model.lookback, exogData.slice(model.lookback), {
+    endog: endoData.slice(0, model.lookback),
+    exog: exogData.slice(0, model.lookback)
+  });
+  const predDynamic = [...endoData.slice(0, model.lookback), ...forecast.predicted_mean];
+  // Prediction intervals widen with the horizon as forecast errors accumulate
+  const intervals = forecast.conf_int(alpha);
 
   console.log(`📊 Dynamic forecasting: Generated ${predDynamic.length} predictions from ${nob} total frames`);
 
   // Denormalize the data (StandardScaler inverse transform)
-  const denormalizedPred = predDynamic.map(val => val * scaler.std[targetAngleIndex] + scaler.mean[targetAngleIndex]);
-  const denormalizedOrig = origValues.map(val => val * scaler.std[targetAngleIndex] + scaler.mean[targetAngleIndex]);
+  const denormalize = val => val * scaler.std[targetAngleIndex] + scaler.mean[targetAngleIndex];
+  const denormalizedPred = predDynamic.map(denormalize);
+  const denormalizedOrig = origValues.map(denormalize);
 
-  // For dynamic forecasting, use data from 2nd sample onwards (like Python: y = OrigValues_G[2:])
-  const predFromSecond = denormalizedPred.slice(2);
-  const origFromSecond = denormalizedOrig.slice(2);
+  // For dynamic forecasting, drop the seeded history (like Python: y = OrigValues_G[2:] for AR(2))
+  const predFromSecond = denormalizedPred.slice(model.lookback);
+  const origFromSecond = denormalizedOrig.slice(model.lookback);
 
   return { 
     predDynamic: predFromSecond, 
     origValues: origFromSecond,
+    lower: intervals.map(interval => denormalize(interval[0])),
+    upper: intervals.map(interval => denormalize(interval[1])),
+    alpha,
     fullPredDynamic: denormalizedPred,
     fullOrigValues: denormalizedOrig
   };
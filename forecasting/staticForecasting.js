@@ -1,30 +1,43 @@
 // Static forecasting function
-export function staticForecasting(model, testData, indEnd, indExo, scaler, targetAngleIndex) {
+export function staticForecasting(model, testData, indEnd, indExo, scaler, targetAngleIndex, alpha = 0.05) {
   const nob = testData.length;
   const endoData = testData.map(row => row[indEnd]);
   const exogData = testData.map(row => indExo.map(idx => row[idx]));
   
   const predStatic = [];
   const origValues = [];
+  const lower = [];
+  const upper = [];
 
-  // Use all available data: start from order and predict until end
-  for (let i = model.order; i < nob; i++) {
-    const forecast = model.apply(
-      endoData.slice(i - model.order, i), 
-      exogData.slice(i - model.order, i)
-    );
-    const pred = forecast.getPrediction();
-    const predMean = pred.predicted_mean[0];
+  // Use all available data: start from the model lookback and predict until end
+  for (let i = model.lookback; i < nob; i++) {
+    // One-step-ahead forecast from the real history (interval width is the 1-step error)
+    const forecast = model.getForecast(1, [exogData[i]], {
+      endog: endoData.slice(i - model.lookback, i),
+      exog: exogData.slice(i - model.lookback, i),
+      time: i + 1 // Position of the frame in the test series (for time trends)
+    });
+    const predMean = forecast.predicted_mean[0];
+    const [predLower, predUpper] = forecast.conf_int(alpha)[0];
     
     predStatic.push(predMean);
+    lower.push(predLower);
+    upper.push(predUpper);
     origValues.push(endoData[i]); // Current actual value
   }
 
   console.log(`📊 Static forecasting: Generated ${predStatic.length} predictions from ${nob} total frames`);
 
   // Denormalize the data (StandardScaler inverse transform)
-  const denormalizedPred = predStatic.map(val => val * scaler.std[targetAngleIndex] + scaler.mean[targetAngleIndex]);
-  const denormalizedOrig = origValues.map(val => val * scaler.std[targetAngleIndex] + scaler.mean[targetAngleIndex]);
+  const denormalize = val => val * scaler.std[targetAngleIndex] + scaler.mean[targetAngleIndex];
+  const denormalizedPred = predStatic.map(denormalize);
+  const denormalizedOrig = origValues.map(denormalize);
 
-  return { predStatic: denormalizedPred, origValues: denormalizedOrig };
+  return {
+    predStatic: denormalizedPred,
+    origValues: denormalizedOrig,
+    lower: lower.map(denormalize),
+    upper: upper.map(denormalize),
+    alpha
+  };
 } 
\ No newline at end of file
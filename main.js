@@ -187,8 +187,10 @@ compareModels([
 // 5. Static Forecasting
 console.log("\n5. Performing Static Forecasting...");
 
-const { predStatic: predStaticB, origValues: origStaticB } = staticForecasting(modelB, dataTestB, indEndB, indExoB, scalerTestB, indEndB);
-const { predStatic: predStaticG, origValues: origStaticG } = staticForecasting(modelG, dataTestG, indEndG, indExoG, scalerTestG, indEndG);
+const staticB = staticForecasting(modelB, dataTestB, indEndB, indExoB, scalerTestB, indEndB);
+const staticG = staticForecasting(modelG, dataTestG, indEndG, indExoG, scalerTestG, indEndG);
+const { predStatic: predStaticB, origValues: origStaticB } = staticB;
+const { predStatic: predStaticG, origValues: origStaticG } = staticG;
 
 // Evaluate static forecasting
 console.log(`📊 Static Forecasting Results - Bending (${angB}):`);
@@ -205,8 +207,8 @@ console.log(`MSE: ${mseStaticG.toFixed(6)} | MAE: ${maeStaticG.toFixed(6)} | U1:
 
 // Generate static forecasting plots
 console.log('\n🎨 Generating Static Forecasting Plots...');
-createPlot(origStaticB, predStaticB, `Static forecasting - Bending: ${angB}`, 'static_bending_plot.html', 'Static', summaryB);
-createPlot(origStaticG, predStaticG, `Static forecasting - Glassblowing: ${angG}`, 'static_glassblowing_plot.html', 'Static', summaryG);
+createPlot(origStaticB, predStaticB, `Static forecasting - Bending: ${angB}`, 'static_bending_plot.html', 'Static', summaryB, staticB);
+createPlot(origStaticG, predStaticG, `Static forecasting - Glassblowing: ${angG}`, 'static_glassblowing_plot.html', 'Static', summaryG, staticG);
 
 // Console plots for quick visualization
 createConsolePlot(origStaticB, predStaticB, `Static Forecasting - Bending (${angB})`);
@@ -215,8 +217,10 @@ createConsolePlot(origStaticG, predStaticG, `Static Forecasting - Glassblowing (
 // 6. Dynamic Forecasting
 console.log("\n6. Performing Dynamic Forecasting...");
 
-const { predDynamic: predDynamicB, origValues: origDynamicB } = dynamicForecasting(modelB, dataTestB, indEndB, indExoB, scalerTestB, indEndB);
-const { predDynamic: predDynamicG, origValues: origDynamicG } = dynamicForecasting(modelG, dataTestG, indEndG, indExoG, scalerTestG, indEndG);
+const dynamicB = dynamicForecasting(modelB, dataTestB, indEndB, indExoB, scalerTestB, indEndB);
+const dynamicG = dynamicForecasting(modelG, dataTestG, indEndG, indExoG, scalerTestG, indEndG);
+const { predDynamic: predDynamicB, origValues: origDynamicB } = dynamicB;
+const { predDynamic: predDynamicG, origValues: origDynamicG } = dynamicG;
 
 // Evaluate dynamic forecasting
 console.log(`📊 Dynamic Forecasting Results - Bending (${angB}):`);
@@ -233,8 +237,8 @@ console.log(`MSE: ${mseDynamicG.toFixed(6)} | MAE: ${maeDynamicG.toFixed(6)} | U
 
 // Generate dynamic forecasting plots
 console.log('\n🎨 Generating Dynamic Forecasting Plots...');
-createPlot(origDynamicB, predDynamicB, `Dynamic forecasting - Bending: ${angB}`, 'dynamic_bending_plot.html', 'Dynamic', summaryB);
-createPlot(origDynamicG, predDynamicG, `Dynamic forecasting - Glassblowing: ${angG}`, 'dynamic_glassblowing_plot.html', 'Dynamic', summaryG);
+createPlot(origDynamicB, predDynamicB, `Dynamic forecasting - Bending: ${angB}`, 'dynamic_bending_plot.html', 'Dynamic', summaryB, dynamicB);
+createPlot(origDynamicG, predDynamicG, `Dynamic forecasting - Glassblowing: ${angG}`, 'dynamic_glassblowing_plot.html', 'Dynamic', summaryG, dynamicG);
 
 // Console plots for quick visualization
 createConsolePlot(origDynamicB, predDynamicB, `Dynamic Forecasting - Bending (${angB})`);
@@ -1,7 +1,9 @@
 // 📝 Template for Predicting on Your Own BVH Files
 // ✏️ Modify the paths and joints below for your specific use case
 
+import fs from 'fs';
 import { SARIMAX } from '../classes/SARIMAX.js';
+import { autoSARIMAX } from '../utils/modelSelection.js';
 import { StandardScaler } from '../classes/StandardScaler.js';
 import { extractDataFromBVH } from '../utils/bvhUtils.js';
 import { staticForecasting } from '../forecasting/staticForecasting.js';
@@ -27,7 +29,8 @@ const EXOGENOUS_JOINTS = [                                  // 👈 Joints that
 ];
 
 // Model configuration
-const AR_ORDER = 2;                                          // 👈 Number of past time steps to use
+const AR_ORDER = 2;                                          // 👈 Number of past time steps to use, or 'auto' to search (p, d, q) by AIC
+const MODEL_FILE = './my_model.json';                        // 👈 Saved model: trained once, then reloaded (null to always retrain)
 
 // Output configuration
 const SAVE_PLOTS = true;                                     // 👈 Generate HTML plots?
@@ -45,23 +48,45 @@ console.log(`📂 Prediction file: ${PREDICTION_FILE}`);
 console.log(`🎯 Target joint: ${TARGET_JOINT}`);
 console.log(`🔗 Exogenous joints: [${EXOGENOUS_JOINTS.join(', ')}]`);
 
-// Step 1: Load and train model
-console.log("\n1️⃣ Loading training data and training model...");
+// Step 1: Load a saved model, or train one (with its scaler) and save it
+let model;
+if (MODEL_FILE && fs.existsSync(MODEL_FILE)) {
+  console.log(`\n1️⃣ Loading saved model from ${MODEL_FILE}...`);
+  model = SARIMAX.fromJSON(fs.readFileSync(MODEL_FILE, 'utf8'));
+  if (model.endogName !== TARGET_JOINT || model.exogNames.join() !== EXOGENOUS_JOINTS.join()) {
+    throw new Error(`${MODEL_FILE} was trained for ${model.endogName} on [${model.exogNames.join(', ')}]; delete it to retrain`);
+  }
+  console.log(`✅ Model loaded (trained on ${model.nobs} frames, R² ${model.summary().rSquared.toFixed(4)})`);
+} else {
+  console.log("\n1️⃣ Loading training data and training model...");
+
+  const trainData = extractDataFromBVH(TRAINING_FILE, TARGET_JOINT, EXOGENOUS_JOINTS);
+  const rawTrain = trainData.endog.map((y, i) => [y, ...trainData.exog[i]]);
 
-const trainData = extractDataFromBVH(TRAINING_FILE, TARGET_JOINT, EXOGENOUS_JOINTS);
-const rawTrain = trainData.endog.map((y, i) => [y, ...trainData.exog[i]]);
+  const trainScaler = new StandardScaler();
+  const normalizedTrain = trainScaler.fitTransform(rawTrain);
 
-const scaler = new StandardScaler();
-const normalizedTrain = scaler.fitTransform(rawTrain);
+  const endogTrain = normalizedTrain.map(row => row[0]);
+  const exogTrain = normalizedTrain.map(row => row.slice(1));
+  const names = { endogName: TARGET_JOINT, exogNames: EXOGENOUS_JOINTS, scaler: trainScaler };
 
-const endogTrain = normalizedTrain.map(row => row[0]);
-const exogTrain = normalizedTrain.map(row => row.slice(1));
+  if (AR_ORDER === 'auto') {
+    model = autoSARIMAX(endogTrain, exogTrain).model;
+    Object.assign(model, names);
+  } else {
+    model = new SARIMAX(endogTrain, exogTrain, AR_ORDER, names);
+    model.fit();
+  }
 
-const model = new SARIMAX(endogTrain, exogTrain, AR_ORDER);
-model.fit();
+  console.log(`✅ Model trained on ${trainData.endog.length} frames`);
+  console.log(`📊 Training R²: ${model.summary().rSquared.toFixed(4)}`);
 
-console.log(`✅ Model trained on ${trainData.endog.length} frames`);
-console.log(`📊 Training R²: ${model.summary().rSquared.toFixed(4)}`);
+  if (MODEL_FILE) {
+    fs.writeFileSync(MODEL_FILE, JSON.stringify(model));
+    console.log(`💾 Model saved to ${MODEL_FILE}`);
+  }
+}
+const scaler = model.scaler;
 
 // Step 2: Load prediction data
 console.log("\n2️⃣ Loading prediction data...");
@@ -124,7 +149,9 @@ if (SAVE_PLOTS) {
     staticResults.predStatic,
     `Static Prediction - ${TARGET_JOINT}`,
     staticFile,
-    'Static'
+    'Static',
+    null,
+    staticResults
   );
   
   createPlot(
@@ -132,7 +159,9 @@ if (SAVE_PLOTS) {
     dynamicResults.predDynamic,
     `Dynamic Prediction - ${TARGET_JOINT}`,
     dynamicFile,
-    'Dynamic'
+    'Dynamic',
+    null,
+    dynamicResults
   );
   
   console.log(`📊 Plots saved: ${staticFile}, ${dynamicFile}`);
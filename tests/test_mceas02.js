@@ -134,7 +134,8 @@ dfModel.info();
 // 5. Static Forecasting - TESTING on MCEAS02G01R02.bvh
 console.log("\n5. Performing Static Forecasting on MCEAS02G01R02.bvh (ALL FRAMES)...");
 
-const { predStatic, origValues: origStatic } = staticForecasting(model, testData, indEnd, indExo, scalerTest, indEnd);
+const staticResults = staticForecasting(model, testData, indEnd, indExo, scalerTest, indEnd);
+const { predStatic, origValues: origStatic } = staticResults;
 
 // Evaluate static forecasting
 console.log(`📊 Static Forecasting Results - MCEAS02G01R02 (${targetAngle}):`);
@@ -150,7 +151,7 @@ console.log(`Correlation: ${correlation.toFixed(6)}`);
 
 // Generate static forecasting plots
 console.log('\n🎨 Generating Static Forecasting Plots (ALL TEST FRAMES)...');
-createPlot(origStatic, predStatic, `Static forecasting - MCEAS02G01R02: ${targetAngle} (ALL ${origStatic.length} FRAMES)`, 'static_mceas02_plot.html', 'Static', summary);
+createPlot(origStatic, predStatic, `Static forecasting - MCEAS02G01R02: ${targetAngle} (ALL ${origStatic.length} FRAMES)`, 'static_mceas02_plot.html', 'Static', summary, staticResults);
 
 // Console plots for quick visualization
 createConsolePlot(origStatic, predStatic, `Static Forecasting - MCEAS02G01R02 (${targetAngle}) - ALL ${origStatic.length} FRAMES`);
@@ -158,7 +159,8 @@ createConsolePlot(origStatic, predStatic, `Static Forecasting - MCEAS02G01R02 ($
 // 6. Dynamic Forecasting - TESTING on MCEAS02G01R02.bvh
 console.log("\n6. Performing Dynamic Forecasting on MCEAS02G01R02.bvh (ALL FRAMES)...");
 
-const { predDynamic, origValues: origDynamic } = dynamicForecasting(model, testData, indEnd, indExo, scalerTest, indEnd);
+const dynamicResults = dynamicForecasting(model, testData, indEnd, indExo, scalerTest, indEnd);
+const { predDynamic, origValues: origDynamic } = dynamicResults;
 
 // Evaluate dynamic forecasting
 console.log(`📊 Dynamic Forecasting Results - MCEAS02G01R02 (${targetAngle}):`);
@@ -173,7 +175,7 @@ console.log(`Correlation: ${correlationDynamic.toFixed(6)}`);
 
 // Generate dynamic forecasting plots
 console.log('\n🎨 Generating Dynamic Forecasting Plots (ALL TEST FRAMES)...');
-createPlot(origDynamic, predDynamic, `Dynamic forecasting - MCEAS02G01R02: ${targetAngle} (ALL ${origDynamic.length} FRAMES)`, 'dynamic_mceas02_plot.html', 'Dynamic', summary);
+createPlot(origDynamic, predDynamic, `Dynamic forecasting - MCEAS02G01R02: ${targetAngle} (ALL ${origDynamic.length} FRAMES)`, 'dynamic_mceas02_plot.html', 'Dynamic', summary, dynamicResults);
 
 // Console plots for quick visualization
 createConsolePlot(origDynamic, predDynamic, `Dynamic Forecasting - MCEAS02G01R02 (${targetAngle}) - ALL ${origDynamic.length} FRAMES`);
@@ -0,0 +1,79 @@
+// Check that update() with forgetting = 1 reproduces a full OLS refit on the extended series,
+// and that a fit changed by the stability correction refuses to update
+// Run from the repository root: node tests/test_rls_update.js
+
+import { SARIMAX } from '../classes/SARIMAX.js';
+import { createRng } from '../utils/random.js';
+
+const TOLERANCE = 1e-8;
+
+// AR(2) + 2 exog series; phi1 close to 1 makes the OLS AR root land near the unit circle
+function simulateSeries(n, phi1, phi2, seed) {
+  const rng = createRng(seed);
+  const endog = [0, 0];
+  const exog = [[rng.normal(), rng.normal()], [rng.normal(), rng.normal()]];
+  for (let t = 2; t < n; t++) {
+    const row = [rng.normal(), rng.normal()];
+    exog.push(row);
+    endog.push(phi1 * endog[t - 1] + phi2 * endog[t - 2] + 0.5 * row[0] - 0.3 * row[1] + 0.1 * rng.normal());
+  }
+  return { endog, exog };
+}
+
+function maxDifference(a, b) {
+  return Math.max(...a.map((v, i) => Math.abs(v - b[i])));
+}
+
+let failures = 0;
+function check(label, passed, detail = '') {
+  console.log(`${passed ? '✅' : '❌'} ${label}${detail ? ` (${detail})` : ''}`);
+  if (!passed) failures++;
+}
+
+console.log("🧪 Recursive least squares update() vs full refit");
+console.log("=".repeat(50));
+
+// 1. Plain OLS fit: 300 frames, then 100 new frames one update() call at a time
+const { endog, exog } = simulateSeries(400, 0.6, 0.2, 7);
+const options = { trend: 'c', exogLags: 1 };
+const updated = new SARIMAX(endog.slice(0, 300), exog.slice(0, 300), 2, options).fit();
+for (let t = 300; t < 400; t += 25) {
+  updated.update(endog.slice(t, t + 25), exog.slice(t, t + 25));
+}
+const refit = new SARIMAX(endog, exog, 2, options).fit();
+
+const coefDiff = maxDifference(updated.coefficients, refit.coefficients);
+check('coefficients match the refit', coefDiff < TOLERANCE, `max difference ${coefDiff.toExponential(2)}`);
+const seDiff = maxDifference(updated.stdErrors, refit.stdErrors);
+check('standard errors match the refit', seDiff < TOLERANCE, `max difference ${seDiff.toExponential(2)}`);
+check('mse matches the refit', Math.abs(updated.mse - refit.mse) < TOLERANCE);
+check('nobs matches the refit', updated.nobs === refit.nobs, `${updated.nobs} vs ${refit.nobs}`);
+check('aic matches the refit', Math.abs(updated.aic - refit.aic) < 1e-6);
+
+// 2. Stability-corrected fit: the coefficients are not the least-squares solution, so no RLS state
+const nearUnitRoot = simulateSeries(400, 1.3, -0.299, 11);
+const corrected = new SARIMAX(nearUnitRoot.endog.slice(0, 300), nearUnitRoot.exog.slice(0, 300), 2, options)
+  .fit({ stabilityCorrection: true });
+check('stability correction was applied', corrected.arroots()[0].modulus >= 1);
+let refused = false;
+try {
+  corrected.update(nearUnitRoot.endog.slice(300), nearUnitRoot.exog.slice(300));
+} catch (error) {
+  refused = /stability correction/.test(error.message);
+}
+check('update() refuses a stability-corrected fit', refused);
+
+// 3. The same option without a correction to apply keeps updating like a refit
+const uncorrected = new SARIMAX(endog.slice(0, 300), exog.slice(0, 300), 2, options).fit({ stabilityCorrection: true });
+uncorrected.update(endog.slice(300), exog.slice(300));
+const uncorrectedDiff = maxDifference(uncorrected.coefficients, refit.coefficients);
+check('stabilityCorrection without a correction still matches the refit', uncorrectedDiff < TOLERANCE,
+  `max difference ${uncorrectedDiff.toExponential(2)}`);
+
+console.log("=".repeat(50));
+if (failures > 0) {
+  console.log(`❌ ${failures} check(s) failed`);
+  process.exitCode = 1;
+} else {
+  console.log("✅ All checks passed");
+}
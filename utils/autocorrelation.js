@@ -0,0 +1,110 @@
+// 🔁 Autocorrelation functions
+// Sample ACF / PACF with confidence bands, used to read AR and MA orders off a joint or residual series
+
+import { tCritical } from './inference.js';
+import { leastSquares } from './leastSquares.js';
+
+// statsmodels default number of lags, min(10 log10(n), n - 1)
+function defaultLags(n) {
+  return Math.min(Math.floor(10 * Math.log10(n)), n - 1);
+}
+
+function checkLags(nlags, n) {
+  if (!Number.isInteger(nlags) || nlags < 1 || nlags >= n) {
+    throw new Error(`nlags must be an integer between 1 and ${n - 1}, got ${nlags}`);
+  }
+}
+
+// Autocovariances gamma_0..gamma_nlags around the mean (divided by n, or by n - k when adjusted)
+function autocovariances(series, nlags, adjusted = false) {
+  const n = series.length;
+  const mean = series.reduce((sum, v) => sum + v, 0) / n;
+  const centered = series.map(v => v - mean);
+  return Array.from({length: nlags + 1}, (_, k) => {
+    let sum = 0;
+    for (let t = k; t < n; t++) sum += centered[t] * centered[t - k];
+    return sum / (adjusted ? n - k : n);
+  });
+}
+
+// Durbin-Levinson recursion: partial autocorrelations from autocovariances
+function levinsonDurbin(gamma, nlags) {
+  const pacf = [1];
+  let phi = [];
+  let variance = gamma[0];
+  for (let k = 1; k <= nlags; k++) {
+    const num = gamma[k] - phi.reduce((sum, p, j) => sum + p * gamma[k - j - 1], 0);
+    const reflection = variance > 0 ? num / variance : 0;
+    phi = [...phi.map((p, j) => p - reflection * phi[k - j - 2]), reflection];
+    variance *= 1 - reflection * reflection;
+    pacf.push(reflection);
+  }
+  return pacf;
+}
+
+/**
+ * Sample autocorrelation function with Bartlett confidence bands
+ * @param {Array} series - Observations (e.g. a BVH channel or model residuals)
+ * @param {number} nlags - Number of lags (defaults to min(10 log10(n), n - 1))
+ * @param {Object} options - {alpha: significance level of the bands}
+ * @returns {Object} - {acf, se, confint} indexed by lag, starting at lag 0;
+ *                     se[k] uses Bartlett's formula sqrt((1 + 2 sum_{j<k} r_j^2) / n)
+ */
+export function acf(series, nlags = defaultLags(series.length), options = {}) {
+  const { alpha = 0.05 } = options;
+  const n = series.length;
+  checkLags(nlags, n);
+
+  const gamma = autocovariances(series, nlags);
+  const values = gamma.map(g => (gamma[0] > 0 ? g / gamma[0] : 0));
+  const z = tCritical(alpha, Infinity);
+
+  let cumulative = 0;
+  const se = values.map((r, k) => {
+    if (k === 0) return 0;
+    if (k > 1) cumulative += values[k - 1] * values[k - 1];
+    return Math.sqrt((1 + 2 * cumulative) / n);
+  });
+  const confint = values.map((r, k) => [r - z * se[k], r + z * se[k]]);
+  return { acf: values, se, confint };
+}
+
+/**
+ * Sample partial autocorrelation function
+ * @param {Array} series - Observations (e.g. a BVH channel or model residuals)
+ * @param {number} nlags - Number of lags (defaults to min(10 log10(n), n - 1))
+ * @param {string} method - 'yw' (Yule-Walker, n - k autocovariances), 'ywm' (Yule-Walker, n
+ *                          autocovariances) or 'ols' (regression on a constant and k lags)
+ * @param {Object} options - {alpha: significance level of the bands}
+ * @returns {Object} - {pacf, se, confint} indexed by lag, starting at lag 0; se = 1 / sqrt(n)
+ */
+export function pacf(series, nlags = defaultLags(series.length), method = 'yw', options = {}) {
+  const { alpha = 0.05 } = options;
+  const n = series.length;
+  checkLags(nlags, n);
+  if (!['yw', 'ywm', 'ols'].includes(method)) {
+    throw new Error(`Unknown PACF method "${method}" (use 'yw', 'ywm' or 'ols')`);
+  }
+
+  let values;
+  if (method === 'ols') {
+    // Last coefficient of x_t on [1, x_{t-1}, ..., x_{t-k}] over every usable t
+    values = [1];
+    for (let k = 1; k <= nlags; k++) {
+      const X = [];
+      const y = [];
+      for (let t = k; t < n; t++) {
+        X.push([1, ...Array.from({length: k}, (_, j) => series[t - j - 1])]);
+        y.push(series[t]);
+      }
+      values.push(leastSquares(X, y, { conditionNumber: false }).coefficients[k]);
+    }
+  } else {
+    values = levinsonDurbin(autocovariances(series, nlags, method === 'yw'), nlags);
+  }
+
+  const z = tCritical(alpha, Infinity);
+  const se = values.map((_, k) => (k === 0 ? 0 : 1 / Math.sqrt(n)));
+  const confint = values.map((r, k) => [r - z * se[k], r + z * se[k]]);
+  return { pacf: values, se, confint };
+}
@@ -0,0 +1,127 @@
+// 🩺 Residual diagnostics
+// Serial correlation, normality and heteroskedasticity checks (statsmodels summary footer)
+
+import jStat from 'jstat';
+import { acf } from './autocorrelation.js';
+
+function mean(values) {
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+/**
+ * Ljung-Box Q test for residual autocorrelation up to each requested lag
+ * @param {Array} residuals - Model residuals
+ * @param {Object} options - {lags: number or array of lags, modelDf: ARMA parameters subtracted from the df}
+ * @returns {Array} - {lag, statistic, df, pValue} per lag
+ */
+export function ljungBox(residuals, options = {}) {
+  const { lags = 10, modelDf = 0 } = options;
+  const n = residuals.length;
+  const lagList = Array.isArray(lags) ? lags : Array.from({length: lags}, (_, i) => i + 1);
+  if (!lagList.every(lag => Number.isInteger(lag) && lag >= 1 && lag < n)) {
+    throw new Error(`Ljung-Box lags must be integers between 1 and ${n - 1}`);
+  }
+
+  const r = acf(residuals, Math.max(...lagList)).acf.slice(1);
+  let q = 0;
+  const cumulative = r.map((rk, i) => {
+    q += (rk * rk) / (n - i - 1);
+    return n * (n + 2) * q;
+  });
+
+  return lagList.map(lag => {
+    const statistic = cumulative[lag - 1];
+    const df = lag - modelDf;
+    return {
+      lag,
+      statistic,
+      df,
+      pValue: df > 0 ? 1 - jStat.chisquare.cdf(statistic, df) : NaN
+    };
+  });
+}
+
+/**
+ * Sample skewness and (non-excess) kurtosis, as reported by statsmodels
+ * @param {Array} residuals - Model residuals
+ * @returns {Object} - {skew, kurtosis} (a normal distribution has 0 and 3)
+ */
+export function skewKurtosis(residuals) {
+  const m = mean(residuals);
+  let m2 = 0;
+  let m3 = 0;
+  let m4 = 0;
+  for (const v of residuals) {
+    const d = v - m;
+    m2 += d * d;
+    m3 += d * d * d;
+    m4 += d * d * d * d;
+  }
+  const n = residuals.length;
+  m2 /= n;
+  m3 /= n;
+  m4 /= n;
+  return { skew: m3 / Math.pow(m2, 1.5), kurtosis: m4 / (m2 * m2) };
+}
+
+/**
+ * Jarque-Bera normality test
+ * @param {Array} residuals - Model residuals
+ * @returns {Object} - {statistic, pValue, skew, kurtosis}
+ */
+export function jarqueBera(residuals) {
+  const n = residuals.length;
+  const { skew, kurtosis } = skewKurtosis(residuals);
+  const statistic = (n / 6) * (skew * skew + Math.pow(kurtosis - 3, 2) / 4);
+  return { statistic, pValue: 1 - jStat.chisquare.cdf(statistic, 2), skew, kurtosis };
+}
+
+/**
+ * Durbin-Watson statistic (about 2 without first-order autocorrelation, towards 0 or 4 with it)
+ * @param {Array} residuals - Model residuals
+ * @returns {number} - sum (e_t - e_{t-1})^2 / sum e_t^2
+ */
+export function durbinWatson(residuals) {
+  let num = 0;
+  let denom = residuals[0] * residuals[0];
+  for (let t = 1; t < residuals.length; t++) {
+    num += Math.pow(residuals[t] - residuals[t - 1], 2);
+    denom += residuals[t] * residuals[t];
+  }
+  return num / denom;
+}
+
+/**
+ * Heteroskedasticity H test: sum of squared residuals in the last third over the first third,
+ * F(h, h) distributed under constant variance (statsmodels' 'breakvar' test)
+ * @param {Array} residuals - Model residuals
+ * @returns {Object} - {statistic, pValue (two-sided), df}
+ */
+export function heteroskedasticityTest(residuals) {
+  const h = Math.round(residuals.length / 3);
+  if (h < 1) throw new Error(`Heteroskedasticity test needs at least 2 residuals, got ${residuals.length}`);
+  const sumSquares = values => values.reduce((sum, v) => sum + v * v, 0);
+  const statistic = sumSquares(residuals.slice(-h)) / sumSquares(residuals.slice(0, h));
+  const lower = jStat.centralF.cdf(statistic, h, h);
+  return { statistic, pValue: 2 * Math.min(lower, 1 - lower), df: h };
+}
+
+/**
+ * All residual diagnostics of the statsmodels summary footer
+ * @param {Array} residuals - Model residuals
+ * @param {Object} options - {lags: Ljung-Box lags (default [1, 10]), modelDf}
+ * @returns {Object} - {ljungBox, jarqueBera, skew, kurtosis, durbinWatson, heteroskedasticity}
+ */
+export function residualDiagnostics(residuals, options = {}) {
+  const n = residuals.length;
+  const { lags = [1, 10].filter(lag => lag < n), modelDf = 0 } = options;
+  const jb = jarqueBera(residuals);
+  return {
+    ljungBox: ljungBox(residuals, { lags, modelDf }),
+    jarqueBera: { statistic: jb.statistic, pValue: jb.pValue },
+    skew: jb.skew,
+    kurtosis: jb.kurtosis,
+    durbinWatson: durbinWatson(residuals),
+    heteroskedasticity: heteroskedasticityTest(residuals)
+  };
+}
@@ -0,0 +1,132 @@
+// 📐 Coefficient inference utilities
+// Exact Student-t tests, confidence intervals and (robust) covariance of estimated coefficients
+
+import * as math from 'mathjs';
+import jStat from 'jstat';
+
+/**
+ * Two-sided p-value of a t statistic
+ * @param {number} t - t statistic
+ * @param {number} df - Residual degrees of freedom (normal distribution when not finite or not positive)
+ * @returns {number} - P(|T| > |t|)
+ */
+export function tPValue(t, df) {
+  if (!Number.isFinite(t)) return Number.isNaN(t) ? NaN : 0;
+  // Lower tail of -|t| keeps precision for very small p-values
+  const tail = (Number.isFinite(df) && df > 0)
+    ? jStat.studentt.cdf(-Math.abs(t), df)
+    : jStat.normal.cdf(-Math.abs(t), 0, 1);
+  return Math.min(1, 2 * tail);
+}
+
+/**
+ * Critical value of a two-sided t interval
+ * @param {number} alpha - Significance level (0.05 gives a 95% interval)
+ * @param {number} df - Residual degrees of freedom (normal distribution when not finite or not positive)
+ * @returns {number} - Quantile t_{1 - alpha/2, df}
+ */
+export function tCritical(alpha, df) {
+  if (!(alpha > 0 && alpha < 1)) {
+    throw new Error(`alpha must be between 0 and 1, got ${alpha}`);
+  }
+  return (Number.isFinite(df) && df > 0)
+    ? jStat.studentt.inv(1 - alpha / 2, df)
+    : jStat.normal.inv(1 - alpha / 2, 0, 1);
+}
+
+/**
+ * t statistics, p-values and confidence intervals for a set of coefficients
+ * @param {Array} coefficients - Estimated coefficients
+ * @param {Array} stdErrors - Standard errors of the coefficients
+ * @param {number} df - Residual degrees of freedom
+ * @param {number} alpha - Significance level of the confidence intervals
+ * @returns {Object} - {tStats, pValues, confInt} with confInt as [lower, upper] pairs
+ */
+export function coefficientTests(coefficients, stdErrors, df, alpha = 0.05) {
+  const tStats = coefficients.map((b, i) => (stdErrors[i] > 0 ? b / stdErrors[i] : NaN));
+  const pValues = tStats.map(t => tPValue(t, df));
+  const confInt = confidenceIntervals(coefficients, stdErrors, df, alpha);
+  return { tStats, pValues, confInt };
+}
+
+/**
+ * Two-sided Student-t confidence intervals
+ * @param {Array} coefficients - Estimated coefficients
+ * @param {Array} stdErrors - Standard errors of the coefficients
+ * @param {number} df - Residual degrees of freedom
+ * @param {number} alpha - Significance level (0.05 gives the [0.025, 0.975] interval)
+ * @returns {Array} - [lower, upper] pair per coefficient
+ */
+export function confidenceIntervals(coefficients, stdErrors, df, alpha = 0.05) {
+  const critical = tCritical(alpha, df);
+  return coefficients.map((b, i) => [b - critical * stdErrors[i], b + critical * stdErrors[i]]);
+}
+
+// Covariance estimators accepted by olsCovariance (statsmodels cov_type names)
+const COV_TYPES = ['nonrobust', 'HC0', 'HC1', 'HC2', 'HC3', 'HAC'];
+
+/**
+ * Newey-West rule of thumb for the HAC bandwidth, floor(4 (n / 100)^(2/9))
+ * @param {number} n - Number of observations
+ * @returns {number} - Number of lags
+ */
+export function neweyWestLags(n) {
+  return Math.floor(4 * Math.pow(n / 100, 2 / 9));
+}
+
+/**
+ * Covariance matrix of OLS coefficients, classical or sandwich (X'X)^-1 S (X'X)^-1
+ * @param {Array} X - Design rows
+ * @param {Array} residuals - OLS residuals
+ * @param {Array|Matrix} XTXInverse - (X'X)^-1
+ * @param {string} covType - 'nonrobust', 'HC0', 'HC1', 'HC2', 'HC3' or 'HAC' (Newey-West, Bartlett kernel)
+ * @param {Object} options - {maxlags: HAC bandwidth (defaults to neweyWestLags(n)),
+ *                            df: residual degrees of freedom (defaults to n - k)}
+ * @returns {Array} - Coefficient covariance matrix
+ */
+export function olsCovariance(X, residuals, XTXInverse, covType = 'nonrobust', options = {}) {
+  if (!COV_TYPES.includes(covType)) {
+    throw new Error(`Unknown covType "${covType}" (use ${COV_TYPES.join(', ')})`);
+  }
+  const bread = Array.isArray(XTXInverse) ? XTXInverse : XTXInverse.toArray();
+  const n = X.length;
+  const k = bread.length;
+  const df = options.df ?? n - k;
+  const scale = (matrix, factor) => matrix.map(row => row.map(v => v * factor));
+
+  if (covType === 'nonrobust') {
+    const sigma2 = residuals.reduce((sum, e) => sum + e * e, 0) / df;
+    return scale(bread, sigma2);
+  }
+
+  // Scores x_t e_t, with HC2 / HC3 reweighting each by its leverage h_t = x_t' (X'X)^-1 x_t
+  const scores = X.map((row, t) => {
+    let weight = residuals[t];
+    if (covType === 'HC2' || covType === 'HC3') {
+      const leverage = row.reduce((sum, xi, i) => sum + xi * bread[i].reduce((acc, b, j) => acc + b * row[j], 0), 0);
+      weight /= covType === 'HC2' ? Math.sqrt(1 - leverage) : 1 - leverage;
+    }
+    return row.map(x => x * weight);
+  });
+
+  const meat = Array.from({length: k}, () => new Array(k).fill(0));
+  const addOuter = (a, b, weight) => {
+    for (let i = 0; i < k; i++) {
+      for (let j = 0; j < k; j++) meat[i][j] += weight * a[i] * b[j];
+    }
+  };
+  scores.forEach(score => addOuter(score, score, 1));
+  if (covType === 'HAC') {
+    const maxlags = options.maxlags ?? neweyWestLags(n);
+    for (let lag = 1; lag <= maxlags; lag++) {
+      const weight = 1 - lag / (maxlags + 1);
+      for (let t = lag; t < n; t++) {
+        addOuter(scores[t], scores[t - lag], weight);
+        addOuter(scores[t - lag], scores[t], weight);
+      }
+    }
+  }
+
+  const sandwich = math.multiply(math.multiply(bread, meat), bread);
+  return covType === 'HC1' ? scale(sandwich, n / df) : sandwich;
+}
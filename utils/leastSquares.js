@@ -0,0 +1,122 @@
+// 🧮 Least-squares solver
+// Rank-revealing Householder QR: no explicit (X'X)^-1 on the data, rank detection
+// for collinear regressors and the condition number of the design
+
+import * as math from 'mathjs';
+
+/**
+ * Solve min ||X b - y|| by Householder QR on the column-equilibrated design, taking the
+ * columns in their original order. A column whose component orthogonal to the columns
+ * kept before it is (numerically) zero is a linear combination of them and is dropped:
+ * of two duplicated regressors the first is kept. Dropped columns get coefficient 0 and
+ * zero rows / columns in XTXInverse.
+ * @param {Array} X - Design rows [observations, regressors]
+ * @param {Array} y - Target vector, or rows [observations, targets] for several equations
+ * @param {Object} options - {tol: rank tolerance on |R_jj| of the unit-length columns, conditionNumber: compute it (default true)}
+ * @returns {Object} - {coefficients (vector, or rows [regressors, targets]), residuals, rank,
+ *                      dropped (column indices), conditionNumber (of the retained columns), XTXInverse}
+ */
+export function leastSquares(X, y, options = {}) {
+  const { tol = 1e-10, conditionNumber = true } = options;
+  const n = X.length;
+  const k = X[0].length;
+  const multi = Array.isArray(y[0]);
+  const Y = multi ? y.map(row => row.slice()) : y.map(v => [v]);
+  const m = Y[0].length;
+
+  // Unit-length columns make the rank tolerance and the condition number scale-free
+  const scales = Array.from({length: k}, (_, j) => {
+    const norm = Math.sqrt(X.reduce((sum, row) => sum + row[j] * row[j], 0));
+    return norm > 0 ? norm : 1;
+  });
+  const A = X.map(row => row.map((v, j) => v / scales[j]));
+  const perm = Array.from({length: k}, (_, j) => j);
+
+  // Columns [end, k) have been dropped; the others keep their original order
+  let end = k;
+  let rank = 0;
+  while (rank < end && rank < n) {
+    const j = rank;
+    let sum = 0;
+    for (let i = j; i < n; i++) sum += A[i][j] * A[i][j];
+    const norm = Math.sqrt(sum);
+
+    // Nothing left outside the span of the kept columns: move the column behind the others
+    if (norm <= tol) {
+      for (const row of A) row.splice(end - 1, 0, row.splice(j, 1)[0]);
+      perm.splice(end - 1, 0, perm.splice(j, 1)[0]);
+      end--;
+      continue;
+    }
+
+    // Householder reflection zeroing A[j+1..n-1][j], applied to A and Y
+    const alpha = A[j][j] > 0 ? -norm : norm;
+    const v = Array.from({length: n - j}, (_, i) => (i === 0 ? A[j][j] - alpha : A[j + i][j]));
+    const vNorm2 = v.reduce((total, x) => total + x * x, 0);
+    if (vNorm2 > 0) {
+      const reflect = (matrix, columns, from) => {
+        for (let c = from; c < columns; c++) {
+          let dot = 0;
+          for (let i = j; i < n; i++) dot += v[i - j] * matrix[i][c];
+          const factor = (2 * dot) / vNorm2;
+          for (let i = j; i < n; i++) matrix[i][c] -= factor * v[i - j];
+        }
+      };
+      reflect(A, k, j);
+      reflect(Y, m, 0);
+    }
+    rank++;
+  }
+
+  // Back substitution on the leading rank x rank block of R
+  const Rinv = Array.from({length: rank}, () => new Array(rank).fill(0));
+  for (let i = rank - 1; i >= 0; i--) {
+    Rinv[i][i] = 1 / A[i][i];
+    for (let j = i + 1; j < rank; j++) {
+      let sum = 0;
+      for (let l = i + 1; l <= j; l++) sum += A[i][l] * Rinv[l][j];
+      Rinv[i][j] = -sum / A[i][i];
+    }
+  }
+
+  const coefficients = Array.from({length: k}, () => new Array(m).fill(0));
+  for (let a = 0; a < rank; a++) {
+    for (let col = 0; col < m; col++) {
+      let sum = 0;
+      for (let b = a; b < rank; b++) sum += Rinv[a][b] * Y[b][col];
+      coefficients[perm[a]][col] = sum / scales[perm[a]];
+    }
+  }
+
+  // (X'X)^-1 = R^-1 R^-T, mapped back to the original column order and scale
+  const XTXInverse = Array.from({length: k}, () => new Array(k).fill(0));
+  for (let a = 0; a < rank; a++) {
+    for (let b = 0; b < rank; b++) {
+      let sum = 0;
+      for (let l = Math.max(a, b); l < rank; l++) sum += Rinv[a][l] * Rinv[b][l];
+      XTXInverse[perm[a]][perm[b]] = sum / (scales[perm[a]] * scales[perm[b]]);
+    }
+  }
+
+  const residuals = (multi ? y : y.map(v => [v])).map((row, t) =>
+    row.map((v, col) => v - X[t].reduce((sum, x, j) => sum + x * coefficients[j][col], 0))
+  );
+
+  // Condition number of the equilibrated design (retained columns), from the singular values of R
+  let condition = null;
+  if (conditionNumber && rank > 0) {
+    const R = Array.from({length: rank}, (_, i) => Array.from({length: rank}, (_, j) => (j >= i ? A[i][j] : 0)));
+    const { values } = math.eigs(math.multiply(math.transpose(R), R), { eigenvectors: false });
+    const eigenvalues = (Array.isArray(values) ? values : values.toArray()).map(Math.abs);
+    condition = Math.sqrt(Math.max(...eigenvalues) / Math.min(...eigenvalues));
+  }
+
+  return {
+    coefficients: multi ? coefficients : coefficients.map(row => row[0]),
+    residuals: multi ? residuals : residuals.map(row => row[0]),
+    rank,
+    dropped: perm.slice(rank).sort((a, b) => a - b),
+    conditionNumber: condition,
+    XTXInverse
+  };
+}
@@ -40,8 +40,8 @@ export function calculateCorrelation(x, y) {
 // Create model summary table
 export function createModelSummary(model, angles, targetAngle, indExo) {
   const summary = model.summary();
-  // Variables for the model: exogenous variables + lagged endogenous variables
-  const variables = [...indExo.map(i => angles[i]), `${targetAngle}_T-1`, `${targetAngle}_T-2`];
+  // Variables for the model: exogenous variables + AR/MA terms named by the model
+  const variables = model.getParamNames(indExo.map(i => angles[i]));
   
   console.log('\n=== MODEL SUMMARY ===');
   console.log('Variables:', variables);
@@ -49,8 +49,10 @@ export function createModelSummary(model, angles, targetAngle, indExo) {
   console.log('P-values:', summary.pValues);
   console.log('R-squared:', summary.rSquared);
   console.log('MSE:', summary.mse);
+  console.log('Log-Likelihood:', summary.llf);
   console.log('AIC:', summary.aic);
   console.log('BIC:', summary.bic);
+  console.log('HQIC:', summary.hqic);
   console.log('Variables length:', variables.length);
   console.log('Coefficients length:', summary.coefficients.length);
   console.log('P-values length:', summary.pValues.length);
@@ -61,7 +63,10 @@ export function createModelSummary(model, angles, targetAngle, indExo) {
     pValues: summary.pValues,
     rSquared: summary.rSquared,
     mse: summary.mse,
+    llf: summary.llf,
     aic: summary.aic,
-    bic: summary.bic
+    bic: summary.bic,
+    hqic: summary.hqic,
+    aicc: summary.aicc
   };
 } 
\ No newline at end of file
@@ -0,0 +1,331 @@
+// 🔎 Model selection utilities
+// Automatic (p, d, q)(P, D, Q, s) order search for SARIMAX, ranked by information criteria
+
+import { SARIMAX } from '../classes/SARIMAX.js';
+import { ndiffs } from './stationarity.js';
+
+const CRITERIA = ['aic', 'bic', 'hqic', 'aicc'];
+
+// Human-readable order label, e.g. (2,1,1)(1,0,0,120)
+function orderLabel(order, seasonalOrder) {
+  const base = `(${order.join(',')})`;
+  if (!seasonalOrder.s) return base;
+  const { P, D, Q, s } = seasonalOrder;
+  return `${base}(${P},${D},${Q},${s})`;
+}
+
+/**
+ * Print a leaderboard of candidate models
+ * @param {Array} leaderboard - Rows from autoSARIMAX, best first
+ * @param {string} criterion - Criterion used for the ranking
+ */
+export function displayLeaderboard(leaderboard, criterion = 'aic') {
+  console.log('\n🏆 MODEL SELECTION LEADERBOARD');
+  console.log('='.repeat(80));
+
+  const headers = ['Rank', 'Order', 'Log-Lik', 'AIC', 'BIC', 'HQIC', 'AICc'];
+  const colWidths = [6, 24, 12, 12, 12, 12, 12];
+  let headerLine = '';
+  headers.forEach((header, i) => {
+    headerLine += header.padEnd(colWidths[i]);
+  });
+  console.log(headerLine);
+  console.log('-'.repeat(headerLine.length));
+
+  leaderboard.forEach((row, rank) => {
+    let line = `${rank + 1}`.padEnd(colWidths[0]) + row.label.padEnd(colWidths[1]);
+    if (row.error) {
+      line += `failed: ${row.error}`;
+    } else {
+      ['llf', 'aic', 'bic', 'hqic', 'aicc'].forEach((key, i) => {
+        line += row[key].toFixed(3).padEnd(colWidths[i + 2]);
+      });
+    }
+    console.log(line);
+  });
+
+  console.log('-'.repeat(headerLine.length));
+  console.log(`Ranked by ${criterion.toUpperCase()} (lower is better)`);
+}
+
+/**
+ * Automatic order selection for SARIMAX (auto-ARIMA style).
+ * d is chosen with repeated KPSS tests unless given; p, q (and seasonal P, Q) are then
+ * searched stepwise (Hyndman-Khandakar) or over the full grid, and ranked by an
+ * information criterion. Candidates share d, D and the estimation sample, so their criteria are comparable.
+ * @param {Array} endog - Target series
+ * @param {Array} exog - Exogenous rows [frames, variables]
+ * @param {Object} options - {maxP, maxQ, maxD, d, seasonal: {s, D, maxP, maxQ}, trend, exogLags,
+ *                            criterion: 'aic' | 'bic' | 'hqic' | 'aicc', search: 'stepwise' | 'grid',
+ *                            method: 'ols' | 'mle', alpha (KPSS level), verbose}
+ * @returns {Object} - {model, order, seasonalOrder, d, criterion, leaderboard}
+ */
+export function autoSARIMAX(endog, exog, options = {}) {
+  const {
+    maxP = 3,
+    maxQ = 2,
+    maxD = 2,
+    d = null,
+    seasonal = null,
+    trend = 'n',
+    exogLags = 0,
+    criterion = 'aic',
+    search = 'stepwise',
+    method = 'ols',
+    alpha = 0.05,
+    verbose = true
+  } = options;
+
+  if (!CRITERIA.includes(criterion)) {
+    throw new Error(`Unknown criterion "${criterion}" (use ${CRITERIA.map(c => `'${c}'`).join(', ')})`);
+  }
+  if (!['stepwise', 'grid'].includes(search)) {
+    throw new Error(`Unknown search "${search}" (use 'stepwise' or 'grid')`);
+  }
+
+  const s = seasonal ? seasonal.s : 0;
+  const D = seasonal ? (seasonal.D || 0) : 0;
+  const maxSeasonalP = seasonal ? (seasonal.maxP ?? 1) : 0;
+  const maxSeasonalQ = seasonal ? (seasonal.maxQ ?? 1) : 0;
+
+  // Choose d on the seasonally differenced series, like pmdarima
+  let chosenD = d;
+  if (chosenD === null) {
+    let x = endog.slice();
+    for (let i = 0; i < D; i++) x = x.slice(s).map((v, t) => v - x[t]);
+    chosenD = ndiffs(x, { alpha, maxD });
+    if (verbose) console.log(`📉 KPSS tests suggest d = ${chosenD}`);
+  }
+
+  const results = new Map();
+  const evaluate = ([p, q, P, Q]) => {
+    const order = [p, chosenD, q];
+    const seasonalOrder = { P, D, Q, s };
+    const label = orderLabel(order, seasonalOrder);
+    if (results.has(label)) return results.get(label);
+
+    // Conditional fits drop the first p + s*P observations; trimming every candidate to the
+    // same estimation sample keeps the criteria comparable (the exact likelihood uses all data)
+    const offset = method === 'mle' ? 0 : (maxP - p) + s * (maxSeasonalP - P);
+
+    let row;
+    try {
+      const model = new SARIMAX(endog.slice(offset), exog.slice(offset), order, { seasonalOrder, trend, exogLags });
+      model.fit({ method });
+      row = {
+        label,
+        order,
+        seasonalOrder,
+        llf: model.llf,
+        aic: model.aic,
+        bic: model.bic,
+        hqic: model.hqic,
+        aicc: model.aicc,
+        score: model[criterion]
+      };
+    } catch (e) {
+      row = { label, order, seasonalOrder, score: Infinity, error: e.message };
+    }
+    if (!Number.isFinite(row.score)) row.score = Infinity;
+    if (verbose) {
+      console.log(`   ${label}: ${row.error ? `failed (${row.error})` : `${criterion.toUpperCase()} = ${row.score.toFixed(3)}`}`);
+    }
+    results.set(label, row);
+    return row;
+  };
+
+  const inBounds = ([p, q, P, Q]) =>
+    p >= 0 && q >= 0 && P >= 0 && Q >= 0 && p <= maxP && q <= maxQ && P <= maxSeasonalP && Q <= maxSeasonalQ;
+  const clip = ([p, q, P, Q]) =>
+    [Math.min(p, maxP), Math.min(q, maxQ), Math.min(P, maxSeasonalP), Math.min(Q, maxSeasonalQ)];
+
+  if (verbose) console.log(`🔎 ${search === 'grid' ? 'Grid' : 'Stepwise'} order search by ${criterion.toUpperCase()}...`);
+
+  if (search === 'grid') {
+    for (let p = 0; p <= maxP; p++) {
+      for (let q = 0; q <= maxQ; q++) {
+        for (let P = 0; P <= maxSeasonalP; P++) {
+          for (let Q = 0; Q <= maxSeasonalQ; Q++) evaluate([p, q, P, Q]);
+        }
+      }
+    }
+  } else {
+    // Hyndman-Khandakar: four starting models, then move to the first improving neighbour until none improves
+    const starts = [[2, 2, 1, 1], [0, 0, 0, 0], [1, 0, 1, 0], [0, 1, 0, 1]].map(clip);
+    let best = starts.map(evaluate).reduce((a, b) => (b.score < a.score ? b : a));
+    const steps = [
+      [1, 0, 0, 0], [-1, 0, 0, 0], [0, 1, 0, 0], [0, -1, 0, 0],
+      [1, 1, 0, 0], [-1, -1, 0, 0], [1, -1, 0, 0], [-1, 1, 0, 0],
+      [0, 0, 1, 0], [0, 0, -1, 0], [0, 0, 0, 1], [0, 0, 0, -1],
+      [0, 0, 1, 1], [0, 0, -1, -1]
+    ];
+    let improved = true;
+    while (improved) {
+      improved = false;
+      const current = [best.order[0], best.order[2], best.seasonalOrder.P, best.seasonalOrder.Q];
+      for (const step of steps) {
+        const candidate = current.map((v, i) => v + step[i]);
+        if (!inBounds(candidate)) continue;
+        const row = evaluate(candidate);
+        if (row.score < best.score) {
+          best = row;
+          improved = true;
+          break;
+        }
+      }
+    }
+  }
+
+  const ranked = [...results.values()].sort((a, b) => a.score - b.score);
+  if (!ranked.length || !Number.isFinite(ranked[0].score)) {
+    throw new Error("Order search failed: no candidate model could be fitted");
+  }
+
+  const leaderboard = ranked.map(({ score, ...row }) => row);
+  if (verbose) displayLeaderboard(leaderboard, criterion);
+
+  // Refit the winner on the full sample
+  const winner = ranked[0];
+  const model = new SARIMAX(endog, exog, winner.order, { seasonalOrder: winner.seasonalOrder, trend, exogLags });
+  model.fit({ method });
+  if (verbose) console.log(`✅ Selected SARIMAX${winner.label}`);
+
+  return {
+    model,
+    order: winner.order,
+    seasonalOrder: winner.seasonalOrder,
+    d: chosenD,
+    criterion,
+    leaderboard
+  };
+}
+
+/**
+ * Exogenous variable selection for SARIMAX.
+ * 'forward' adds and 'backward' removes one exog column at a time while the information
+ * criterion improves; 'pvalue' refits after dropping the least significant exog column
+ * until every remaining one has p < alpha. The ARMA order and trend stay fixed.
+ * @param {Array} endog - Target series
+ * @param {Array} exog - Exogenous rows [frames, variables]
+ * @param {Object} options - {strategy: 'forward' | 'backward' | 'pvalue', order, seasonalOrder, trend,
+ *                            exogLags, criterion, alpha, names, method: 'ols' | 'mle',
+ *                            covType, maxlags (robust p-values for 'pvalue', see SARIMAX.fit), verbose}
+ * @returns {Object} - {model, selected, names, dropped, history} (removals of collinear variables carry reason 'collinear')
+ */
+export function selectExog(endog, exog, options = {}) {
+  const {
+    strategy = 'backward',
+    order = 2,
+    seasonalOrder = undefined,
+    trend = 'n',
+    exogLags = 0,
+    criterion = 'aic',
+    alpha = 0.05,
+    method = 'ols',
+    covType = 'nonrobust',
+    maxlags = undefined,
+    verbose = true
+  } = options;
+  const numExog = exog[0].length;
+  const names = options.names || Array.from({length: numExog}, (_, i) => `x${i + 1}`);
+
+  if (!['forward', 'backward', 'pvalue'].includes(strategy)) {
+    throw new Error(`Unknown strategy "${strategy}" (use 'forward', 'backward' or 'pvalue')`);
+  }
+  if (!CRITERIA.includes(criterion)) {
+    throw new Error(`Unknown criterion "${criterion}" (use ${CRITERIA.map(c => `'${c}'`).join(', ')})`);
+  }
+  if (names.length !== numExog) {
+    throw new Error(`Expected ${numExog} exog names, got ${names.length}`);
+  }
+
+  // Fit the model on a subset of exog columns (kept in their original order);
+  // subsets that cannot be fitted (e.g. no regressors at all) score +Infinity
+  let lastError = null;
+  const fitSubset = (columns) => {
+    const sorted = [...columns].sort((a, b) => a - b);
+    try {
+      const lags = Array.isArray(exogLags) ? sorted.map(j => exogLags[j]) : exogLags;
+      const model = new SARIMAX(endog, exog.map(row => sorted.map(j => row[j])), order, { seasonalOrder, trend, exogLags: lags });
+      model.fit({ method, covType, maxlags });
+      const score = Number.isFinite(model[criterion]) ? model[criterion] : Infinity;
+      return { columns: sorted, model, score };
+    } catch (e) {
+      lastError = e;
+      return { columns: sorted, model: null, score: Infinity };
+    }
+  };
+
+  const history = [];
+  const log = (message) => { if (verbose) console.log(message); };
+  log(`🧮 Exog selection (${strategy}) over ${numExog} variables...`);
+
+  let current;
+  if (strategy === 'pvalue') {
+    current = fitSubset(names.map((_, j) => j));
+    while (current.columns.length > 0) {
+      // A lagged variable is kept while any of its lags is significant; lags dropped as
+      // collinear have no p-value, and a variable with none left goes first
+      const exogPValues = current.model.splitParams(current.model.pValues).exog;
+      let start = 0;
+      const pValues = current.model.exogLags.map(lags => {
+        const block = exogPValues.slice(start, start + lags + 1).filter(p => !Number.isNaN(p));
+        start += lags + 1;
+        return block.length > 0 ? Math.min(...block) : NaN;
+      });
+      const collinear = pValues.findIndex(p => Number.isNaN(p));
+      if (collinear >= 0) {
+        const column = current.columns[collinear];
+        history.push({ action: 'remove', variable: names[column], pValue: NaN, reason: 'collinear' });
+        log(`   ➖ ${names[column]} (collinear with the other regressors)`);
+        current = fitSubset(current.columns.filter(j => j !== column));
+        continue;
+      }
+      const worst = pValues.indexOf(Math.max(...pValues));
+      if (!(pValues[worst] >= alpha)) break;
+      const column = current.columns[worst];
+      history.push({ action: 'remove', variable: names[column], pValue: pValues[worst] });
+      log(`   ➖ ${names[column]} (p = ${pValues[worst].toFixed(4)})`);
+      current = fitSubset(current.columns.filter(j => j !== column));
+    }
+  } else {
+    const forward = strategy === 'forward';
+    current = fitSubset(forward ? [] : names.map((_, j) => j));
+    while (true) {
+      const moves = forward
+        ? names.map((_, j) => j).filter(j => !current.columns.includes(j))
+        : current.columns;
+      if (moves.length === 0) break;
+
+      // Best single addition (forward) or removal (backward)
+      let best = null;
+      for (const column of moves) {
+        const candidate = fitSubset(forward
+          ? [...current.columns, column]
+          : current.columns.filter(j => j !== column));
+        if (!best || candidate.score < best.fit.score) best = { column, fit: candidate };
+      }
+      if (!(best.fit.score < current.score)) break;
+
+      history.push({ action: forward ? 'add' : 'remove', variable: names[best.column], score: best.fit.score });
+      log(`   ${forward ? '➕' : '➖'} ${names[best.column]} (${criterion.toUpperCase()} = ${best.fit.score.toFixed(3)})`);
+      current = best.fit;
+    }
+  }
+
+  if (!current.model) {
+    throw new Error(`Exog selection failed: the selected model could not be fitted${lastError ? ` (${lastError.message})` : ''}`);
+  }
+
+  const selected = current.columns;
+  const dropped = names.map((_, j) => j).filter(j => !selected.includes(j));
+  log(`✅ Kept ${selected.length}/${numExog} exog variables: [${selected.map(j => names[j]).join(', ')}]`);
+
+  return {
+    model: current.model,
+    selected,
+    names: selected.map(j => names[j]),
+    dropped: dropped.map(j => names[j]),
+    history
+  };
+}
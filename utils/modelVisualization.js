@@ -1,23 +1,52 @@
 // 📊 Model Visualization Utilities
 // Display detailed model information in table format (pandas-like)
 
+/**
+ * Row labels for a model table
+ * Callers may pass one label per coefficient; otherwise `variables` is the full
+ * angle list indexed by `indExo` and the remaining rows use the model's own names.
+ */
+function resolveVariableNames(model, variables, indExo) {
+  if (variables.length === model.coefficients.length) return variables;
+  return model.getParamNames(indExo.map(i => variables[i]));
+}
+
+/**
+ * Quantile labels of a (1 - alpha) confidence interval, e.g. ['0.025', '0.975']
+ */
+function confIntQuantiles(alpha = 0.05) {
+  return [alpha / 2, 1 - alpha / 2].map(q => String(parseFloat(q.toFixed(6))));
+}
+
 /**
  * Display detailed model summary table like pandas DataFrame
  * @param {Object} model - Trained SARIMAX model
- * @param {Array} variables - Variable names
+ * @param {Array} variables - Row labels, or the angle list indexed by indExo
  * @param {string} targetAngle - Target variable name
  * @param {Array} indExo - Exogenous variable indices
+ * @param {number} alpha - Significance level of the confidence interval columns
  * @returns {Object} - Formatted model data
  */
-export function displayModelTable(model, variables, targetAngle, indExo) {
-  const summary = model.summary();
+export function displayModelTable(model, variables, targetAngle, indExo, alpha = 0.05) {
+  const summary = model.summary(alpha);
+  const [lowerQ, upperQ] = confIntQuantiles(alpha);
   
   console.log('\n📊 MODEL COEFFICIENTS AND STATISTICAL SIGNIFICANCE');
   console.log('='.repeat(80));
+  if (summary.covType && summary.covType !== 'nonrobust') {
+    const bandwidth = summary.covType === 'HAC' ? ` (maxlags = ${summary.maxlags})` : '';
+    console.log(`Covariance Type: ${summary.covType}${bandwidth}`);
+  }
+  if (summary.penalty) {
+    const { type, lambda, l1Ratio, cv } = summary.penalty;
+    const mix = type === 'elasticnet' ? `, l1Ratio = ${l1Ratio}` : '';
+    const source = cv ? ` (${cv.folds}-fold time-series CV)` : '';
+    console.log(`Penalty: ${type}, lambda = ${lambda.toExponential(3)}${mix}${source} - standard errors not available`);
+  }
   
   // Create table headers
-  const headers = ['Variable', 'Coefficient', 'Std Error', 'T-Statistic', 'P-Value', 'Significance'];
-  const colWidths = [25, 15, 12, 12, 12, 12];
+  const headers = ['Variable', 'Coefficient', 'Std Error', 'T-Statistic', 'P-Value', `[${lowerQ}`, `${upperQ}]`, 'Significance'];
+  const colWidths = [25, 15, 12, 12, 12, 12, 12, 12];
   
   // Print header
   let headerLine = '';
@@ -29,13 +58,15 @@ export function displayModelTable(model, variables, targetAngle, indExo) {
   
   // Format and display each coefficient
   const modelData = [];
+  const rowLabels = resolveVariableNames(model, variables, indExo);
   
-  for (let i = 0; i < variables.length; i++) {
-    const variable = variables[i];
+  for (let i = 0; i < rowLabels.length; i++) {
+    const variable = rowLabels[i];
     const coef = summary.coefficients[i];
     const stdErr = summary.stdErrors[i];
     const tStat = summary.tStats[i];
     const pVal = summary.pValues[i];
+    const [confLower, confUpper] = summary.confInt[i];
     
     // Determine significance level
     let significance = '';
@@ -52,6 +83,8 @@ export function displayModelTable(model, variables, targetAngle, indExo) {
       stdErr.toFixed(6),
       tStat.toFixed(3),
       pVal.toFixed(6),
+      confLower.toFixed(6),
+      confUpper.toFixed(6),
       significance
     ];
     
@@ -69,6 +102,8 @@ export function displayModelTable(model, variables, targetAngle, indExo) {
       stdError: stdErr,
       tStatistic: tStat,
       pValue: pVal,
+      confLower,
+      confUpper,
       significance
     });
   }
@@ -77,21 +112,68 @@ export function displayModelTable(model, variables, targetAngle, indExo) {
   console.log('\n📈 MODEL QUALITY METRICS:');
   console.log(`R-squared: ${summary.rSquared.toFixed(6)} (${(summary.rSquared * 100).toFixed(2)}% variance explained)`);
   console.log(`Mean Squared Error: ${summary.mse.toFixed(6)}`);
+  console.log(`Log-Likelihood: ${summary.llf.toFixed(3)}`);
   console.log(`AIC: ${summary.aic.toFixed(3)}`);
+  console.log(`AICc: ${summary.aicc.toFixed(3)}`);
   console.log(`BIC: ${summary.bic.toFixed(3)}`);
+  console.log(`HQIC: ${summary.hqic.toFixed(3)}`);
+
+  // Characteristic roots (statsmodels' "Roots" table); long seasonal polynomials are summarized
+  [['AR', summary.arroots], ['MA', summary.maroots]].forEach(([label, roots]) => {
+    if (!roots || roots.length === 0) return;
+    console.log(`\n🌀 ${label} ROOTS (modulus > 1 means ${label === 'AR' ? 'stationary' : 'invertible'}):`);
+    if (roots.length > 12) {
+      console.log(`${roots.length} roots, smallest modulus ${roots[0].modulus.toFixed(4)}`);
+      return;
+    }
+    roots.forEach((root, i) => {
+      const imag = `${root.imag < 0 ? '-' : '+'}${Math.abs(root.imag).toFixed(4)}j`;
+      console.log(`${label}.${i + 1}`.padEnd(8) + `${root.real.toFixed(4)}${imag}`.padEnd(24) + `modulus ${root.modulus.toFixed(4)}`);
+    });
+  });
+  if (summary.stationary === false) {
+    console.log('⚠️ AR part is not stationary: consider differencing or fit({ enforceStationarity: true })');
+  }
+
+  // Residual diagnostics footer, laid out like statsmodels' summary
+  const diagnostics = summary.diagnostics;
+  if (diagnostics) {
+    console.log('\n🩺 RESIDUAL DIAGNOSTICS:');
+    const pair = (leftLabel, leftValue, rightLabel, rightValue) => {
+      console.log(leftLabel.padEnd(28) + leftValue.toFixed(3).padEnd(12) + rightLabel.padEnd(28) + rightValue.toFixed(3));
+    };
+    const [firstLb, ...otherLb] = diagnostics.ljungBox;
+    if (firstLb) {
+      pair(`Ljung-Box (L${firstLb.lag}) (Q):`, firstLb.statistic, 'Jarque-Bera (JB):', diagnostics.jarqueBera.statistic);
+      pair('Prob(Q):', firstLb.pValue, 'Prob(JB):', diagnostics.jarqueBera.pValue);
+    }
+    otherLb.forEach(lb => {
+      pair(`Ljung-Box (L${lb.lag}) (Q):`, lb.statistic, 'Prob(Q):', lb.pValue);
+    });
+    pair('Heteroskedasticity (H):', diagnostics.heteroskedasticity.statistic, 'Skew:', diagnostics.skew);
+    pair('Prob(H) (two-sided):', diagnostics.heteroskedasticity.pValue, 'Kurtosis:', diagnostics.kurtosis);
+    console.log('Durbin-Watson:'.padEnd(28) + diagnostics.durbinWatson.toFixed(3));
+  }
   
   console.log('\n🎯 SIGNIFICANCE CODES:');
   console.log("0 '***' 0.001 '**' 0.01 '*' 0.05 '.' 0.1 ' ' 1");
   
   return {
     targetVariable: targetAngle,
+    alpha,
+    covType: summary.covType,
+    penalty: summary.penalty,
     data: modelData,
     metrics: {
       rSquared: summary.rSquared,
       mse: summary.mse,
+      llf: summary.llf,
       aic: summary.aic,
-      bic: summary.bic
-    }
+      aicc: summary.aicc,
+      bic: summary.bic,
+      hqic: summary.hqic
+    },
+    diagnostics
   };
 }
 
@@ -101,8 +183,9 @@ export function displayModelTable(model, variables, targetAngle, indExo) {
  * @returns {Object} - DataFrame-like object
  */
 export function createDataFrame(modelTable) {
+  const [lowerQ, upperQ] = confIntQuantiles(modelTable.alpha);
   const df = {
-    columns: ['Variable', 'Coefficient', 'Std_Error', 'T_Statistic', 'P_Value', 'Significance'],
+    columns: ['Variable', 'Coefficient', 'Std_Error', 'T_Statistic', 'P_Value', `CI_${lowerQ}`, `CI_${upperQ}`, 'Significance'],
     index: modelTable.data.map((_, i) => i),
     data: modelTable.data,
     
@@ -129,6 +212,8 @@ export function createDataFrame(modelTable) {
         line += row.stdError.toFixed(6).padEnd(15);
         line += row.tStatistic.toFixed(3).padEnd(15);
         line += row.pValue.toFixed(6).padEnd(15);
+        line += row.confLower.toFixed(6).padEnd(15);
+        line += row.confUpper.toFixed(6).padEnd(15);
         line += row.significance.padEnd(15);
         console.log(line);
       }
@@ -219,8 +304,11 @@ export function compareModels(models) {
   const metrics = [
     { name: 'R-squared', key: 'rSquared', format: (v) => v.toFixed(6) },
     { name: 'MSE', key: 'mse', format: (v) => v.toFixed(6) },
+    { name: 'Log-Lik', key: 'llf', format: (v) => v.toFixed(3) },
     { name: 'AIC', key: 'aic', format: (v) => v.toFixed(3) },
+    { name: 'AICc', key: 'aicc', format: (v) => v.toFixed(3) },
     { name: 'BIC', key: 'bic', format: (v) => v.toFixed(3) },
+    { name: 'HQIC', key: 'hqic', format: (v) => v.toFixed(3) },
     { name: 'Variables', key: 'variables', format: (v) => v.toString() },
     { name: 'Significant', key: 'significant', format: (v) => v.toString() }
   ];
@@ -253,7 +341,8 @@ export function compareModels(models) {
  * @returns {string} - CSV formatted string
  */
 export function exportToCSV(modelTable) {
-  const headers = ['Variable', 'Coefficient', 'Std_Error', 'T_Statistic', 'P_Value', 'Significance'];
+  const [lowerQ, upperQ] = confIntQuantiles(modelTable.alpha);
+  const headers = ['Variable', 'Coefficient', 'Std_Error', 'T_Statistic', 'P_Value', `CI_${lowerQ}`, `CI_${upperQ}`, 'Significance'];
   let csv = headers.join(',') + '\n';
   
   modelTable.data.forEach(row => {
@@ -263,6 +352,8 @@ export function exportToCSV(modelTable) {
       row.stdError,
       row.tStatistic,
       row.pValue,
+      row.confLower,
+      row.confUpper,
       row.significance
     ].join(',');
     csv += line + '\n';
@@ -277,6 +368,7 @@ export function exportToCSV(modelTable) {
  * @returns {string} - HTML table string
  */
 export function createHTMLTable(modelTable) {
+  const [lowerQ, upperQ] = confIntQuantiles(modelTable.alpha);
   let html = `
 <div class="model-summary">
   <h3>📊 SARIMAX Model: ${modelTable.targetVariable}</h3>
@@ -288,6 +380,8 @@ export function createHTMLTable(modelTable) {
         <th>Std Error</th>
         <th>T-Statistic</th>
         <th>P-Value</th>
+        <th>[${lowerQ}</th>
+        <th>${upperQ}]</th>
         <th>Significance</th>
       </tr>
     </thead>
@@ -302,6 +396,8 @@ export function createHTMLTable(modelTable) {
         <td>${row.stdError.toFixed(6)}</td>
         <td>${row.tStatistic.toFixed(3)}</td>
         <td>${row.pValue.toFixed(6)}</td>
+        <td>${row.confLower.toFixed(6)}</td>
+        <td>${row.confUpper.toFixed(6)}</td>
         <td><strong>${row.significance}</strong></td>
       </tr>`;
   });
@@ -312,8 +408,10 @@ export function createHTMLTable(modelTable) {
   <div class="metrics">
     <p><strong>R²:</strong> ${modelTable.metrics.rSquared.toFixed(6)} | 
        <strong>MSE:</strong> ${modelTable.metrics.mse.toFixed(6)} | 
+       <strong>Log-Lik:</strong> ${modelTable.metrics.llf.toFixed(3)} | 
        <strong>AIC:</strong> ${modelTable.metrics.aic.toFixed(3)} | 
-       <strong>BIC:</strong> ${modelTable.metrics.bic.toFixed(3)}</p>
+       <strong>BIC:</strong> ${modelTable.metrics.bic.toFixed(3)} | 
+       <strong>HQIC:</strong> ${modelTable.metrics.hqic.toFixed(3)}</p>
   </div>
 </div>
 
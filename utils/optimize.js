@@ -0,0 +1,129 @@
+// 🎯 Numerical optimization utilities
+// Derivative-free minimization and finite-difference Hessians for likelihood fitting
+
+/**
+ * Minimize a function with the Nelder-Mead simplex algorithm
+ * @param {Function} f - Objective taking a parameter array and returning a number
+ * @param {Array} x0 - Starting point
+ * @param {Object} options - {maxIter, tol, step}
+ * @returns {Object} - {x, fx, iterations, converged}
+ */
+export function nelderMead(f, x0, options = {}) {
+  const dim = x0.length;
+  const maxIter = options.maxIter || 200 * Math.max(dim, 1);
+  const tol = options.tol || 1e-8;
+  const step = options.step || 0.1;
+
+  // Non-finite objective values are treated as +Infinity so the simplex moves away from them
+  const evaluate = (x) => {
+    const value = f(x);
+    return Number.isFinite(value) ? value : Infinity;
+  };
+
+  if (dim === 0) {
+    return { x: [], fx: evaluate([]), iterations: 0, converged: true };
+  }
+
+  // Initial simplex: x0 plus one perturbed vertex per dimension
+  let simplex = [x0.slice()];
+  for (let i = 0; i < dim; i++) {
+    const vertex = x0.slice();
+    vertex[i] = vertex[i] !== 0 ? vertex[i] * (1 + step) : step;
+    simplex.push(vertex);
+  }
+  let values = simplex.map(evaluate);
+
+  const combine = (a, b, weight) => a.map((v, i) => v + weight * (b[i] - v));
+
+  let iterations = 0;
+  let converged = false;
+
+  while (iterations < maxIter) {
+    iterations++;
+
+    // Order vertices from best to worst
+    const orderIdx = values.map((_, i) => i).sort((i, j) => values[i] - values[j]);
+    simplex = orderIdx.map(i => simplex[i]);
+    values = orderIdx.map(i => values[i]);
+
+    const spread = Math.abs(values[dim] - values[0]);
+    if (spread <= tol * (Math.abs(values[0]) + tol)) {
+      converged = true;
+      break;
+    }
+
+    // Centroid of all vertices except the worst
+    const centroid = new Array(dim).fill(0);
+    for (let i = 0; i < dim; i++) {
+      for (let j = 0; j < dim; j++) centroid[j] += simplex[i][j] / dim;
+    }
+
+    const worst = simplex[dim];
+    const reflected = combine(centroid, worst, -1);
+    const fReflected = evaluate(reflected);
+
+    if (fReflected < values[0]) {
+      const expanded = combine(centroid, worst, -2);
+      const fExpanded = evaluate(expanded);
+      if (fExpanded < fReflected) {
+        simplex[dim] = expanded;
+        values[dim] = fExpanded;
+      } else {
+        simplex[dim] = reflected;
+        values[dim] = fReflected;
+      }
+    } else if (fReflected < values[dim - 1]) {
+      simplex[dim] = reflected;
+      values[dim] = fReflected;
+    } else {
+      // Contract towards the better of the worst and reflected points
+      const outside = fReflected < values[dim];
+      const contracted = combine(centroid, outside ? reflected : worst, 0.5);
+      const fContracted = evaluate(contracted);
+      if (fContracted < Math.min(fReflected, values[dim])) {
+        simplex[dim] = contracted;
+        values[dim] = fContracted;
+      } else {
+        // Shrink the whole simplex towards the best vertex
+        for (let i = 1; i <= dim; i++) {
+          simplex[i] = combine(simplex[0], simplex[i], 0.5);
+          values[i] = evaluate(simplex[i]);
+        }
+      }
+    }
+  }
+
+  const best = values.indexOf(Math.min(...values));
+  return { x: simplex[best], fx: values[best], iterations, converged };
+}
+
+/**
+ * Central finite-difference Hessian
+ * @param {Function} f - Function taking a parameter array and returning a number
+ * @param {Array} x - Point at which to evaluate the Hessian
+ * @param {number} relStep - Relative step size
+ * @returns {Array} - 2D array of second derivatives
+ */
+export function numericalHessian(f, x, relStep = 1e-4) {
+  const dim = x.length;
+  const h = x.map(v => relStep * Math.max(Math.abs(v), 1e-2));
+  const f0 = f(x);
+  const shifted = (i, si, j, sj) => {
+    const point = x.slice();
+    point[i] += si * h[i];
+    if (j !== undefined) point[j] += sj * h[j];
+    return f(point);
+  };
+
+  const hessian = Array.from({length: dim}, () => new Array(dim).fill(0));
+  for (let i = 0; i < dim; i++) {
+    hessian[i][i] = (shifted(i, 1) - 2 * f0 + shifted(i, -1)) / (h[i] * h[i]);
+    for (let j = 0; j < i; j++) {
+      const value = (shifted(i, 1, j, 1) - shifted(i, 1, j, -1) - shifted(i, -1, j, 1) + shifted(i, -1, j, -1))
+        / (4 * h[i] * h[j]);
+      hessian[i][j] = value;
+      hessian[j][i] = value;
+    }
+  }
+  return hessian;
+}
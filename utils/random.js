@@ -0,0 +1,40 @@
+// 🎲 Seedable random numbers
+// Reproducible uniform / Gaussian draws for simulations and test fixtures (Math.random has no seed)
+
+/**
+ * Random number generator (mulberry32) with Box-Muller normal draws
+ * @param {number} seed - 32-bit integer seed; null picks one from Math.random
+ * @returns {Object} - {seed, uniform(): [0, 1), normal(mean = 0, sd = 1)}
+ */
+export function createRng(seed = null) {
+  if (seed !== null && !Number.isInteger(seed)) {
+    throw new Error(`Seed must be an integer, got ${seed}`);
+  }
+  const initial = seed === null ? Math.floor(Math.random() * 2 ** 32) : seed;
+  let state = initial >>> 0;
+
+  const uniform = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let z = state;
+    z = Math.imul(z ^ (z >>> 15), z | 1);
+    z ^= z + Math.imul(z ^ (z >>> 7), z | 61);
+    return ((z ^ (z >>> 14)) >>> 0) / 4294967296;
+  };
+
+  // Box-Muller yields two independent normals; the second is kept for the next call
+  let spare = null;
+  const normal = (mean = 0, sd = 1) => {
+    if (spare !== null) {
+      const value = spare;
+      spare = null;
+      return mean + sd * value;
+    }
+    const u = 1 - uniform();
+    const radius = Math.sqrt(-2 * Math.log(u));
+    const angle = 2 * Math.PI * uniform();
+    spare = radius * Math.sin(angle);
+    return mean + sd * radius * Math.cos(angle);
+  };
+
+  return { seed: initial, uniform, normal };
+}
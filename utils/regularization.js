@@ -0,0 +1,182 @@
+// 🪢 Regularised least squares
+// Ridge, lasso and elastic net with time-ordered cross-validation of the penalty weight
+
+import { leastSquares } from './leastSquares.js';
+
+// l1Ratio of each penalty (elastic net takes it from the options)
+export const PENALTIES = { ridge: 0, lasso: 1, elasticnet: null };
+
+function soft(value, threshold) {
+  return Math.sign(value) * Math.max(Math.abs(value) - threshold, 0);
+}
+
+function meanSquare(values) {
+  return values.reduce((sum, v) => sum + v * v, 0) / values.length;
+}
+
+// Partial the unpenalized columns out of y and of the penalized columns (Frisch-Waugh), then
+// scale the penalized columns to unit mean square so one lambda treats every regressor alike
+function prepare(X, y, penalized) {
+  const n = X.length;
+  const free = penalized.map((pen, j) => (pen ? -1 : j)).filter(j => j >= 0);
+  const shrunk = penalized.map((pen, j) => (pen ? j : -1)).filter(j => j >= 0);
+
+  let Z = X.map(row => shrunk.map(j => row[j]));
+  let target = y.slice();
+  if (free.length > 0) {
+    const F = X.map(row => free.map(j => row[j]));
+    const { residuals } = leastSquares(F, X.map((row, t) => [y[t], ...shrunk.map(j => row[j])]), { conditionNumber: false });
+    target = residuals.map(row => row[0]);
+    Z = residuals.map(row => row.slice(1));
+  }
+
+  const scales = shrunk.map((_, c) => Math.sqrt(meanSquare(Z.map(row => row[c]))));
+  Z = Z.map(row => row.map((v, c) => (scales[c] > 0 ? v / scales[c] : 0)));
+  return { n, free, shrunk, scales, Z, target };
+}
+
+// Penalized coefficients (scaled) minimizing ||target - Z b||^2 / 2n + lambda (l1 |b|_1 + (1 - l1) |b|^2 / 2)
+function solve(problem, lambda, l1Ratio, start, tol, maxIter) {
+  const { n, Z, target } = problem;
+  const k = problem.shrunk.length;
+  if (k === 0) return { beta: [], iterations: 0 };
+
+  // Ridge has a closed form: least squares on the design augmented with sqrt(n lambda) I
+  if (l1Ratio === 0) {
+    const weight = Math.sqrt(n * lambda);
+    const augmented = [...Z, ...Array.from({length: k}, (_, i) => Array.from({length: k}, (_, j) => (i === j ? weight : 0)))];
+    const { coefficients } = leastSquares(augmented, [...target, ...new Array(k).fill(0)], { conditionNumber: false });
+    return { beta: coefficients, iterations: 0 };
+  }
+
+  // Cyclic coordinate descent with soft thresholding (columns have unit mean square)
+  const beta = start ? start.slice() : new Array(k).fill(0);
+  const residual = target.map((v, t) => v - Z[t].reduce((sum, z, j) => sum + z * beta[j], 0));
+  const threshold = lambda * l1Ratio;
+  const shrink = 1 + lambda * (1 - l1Ratio);
+  let iterations = 0;
+  while (iterations < maxIter) {
+    iterations++;
+    let maxChange = 0;
+    for (let j = 0; j < k; j++) {
+      if (problem.scales[j] === 0) continue;
+      let rho = 0;
+      for (let t = 0; t < n; t++) rho += Z[t][j] * residual[t];
+      const updated = soft(rho / n + beta[j], threshold) / shrink;
+      const change = updated - beta[j];
+      if (change !== 0) {
+        for (let t = 0; t < n; t++) residual[t] -= change * Z[t][j];
+        beta[j] = updated;
+        maxChange = Math.max(maxChange, Math.abs(change));
+      }
+    }
+    if (maxChange < tol) break;
+  }
+  return { beta, iterations };
+}
+
+// Coefficients in the original column order and scale; the unpenalized ones by least squares
+// on what the penalized regressors leave unexplained
+function recover(problem, X, y, beta) {
+  const coefficients = new Array(X[0].length).fill(0);
+  problem.shrunk.forEach((j, c) => {
+    coefficients[j] = problem.scales[c] > 0 ? beta[c] / problem.scales[c] : 0;
+  });
+  if (problem.free.length > 0) {
+    const F = X.map(row => problem.free.map(j => row[j]));
+    const partial = y.map((v, t) => v - problem.shrunk.reduce((sum, j) => sum + X[t][j] * coefficients[j], 0));
+    const { coefficients: freeCoefficients } = leastSquares(F, partial, { conditionNumber: false });
+    problem.free.forEach((j, c) => { coefficients[j] = freeCoefficients[c]; });
+  }
+  return coefficients;
+}
+
+// Smallest lambda that zeroes every penalized coefficient (l1Ratio floored so ridge gets a finite grid)
+function lambdaMax(problem, l1Ratio) {
+  const { n, Z, target } = problem;
+  const scores = problem.shrunk.map((_, j) => Math.abs(Z.reduce((sum, row, t) => sum + row[j] * target[t], 0)) / n);
+  return Math.max(...scores, 1e-12) / Math.max(l1Ratio, 1e-3);
+}
+
+/**
+ * Elastic net regression (ridge when l1Ratio = 0, lasso when l1Ratio = 1), minimizing
+ * ||y - X b||^2 / 2n + lambda (l1Ratio |b|_1 + (1 - l1Ratio) |b|^2 / 2) over the penalized
+ * columns, each scaled to unit mean square after partialling out the unpenalized ones
+ * @param {Array} X - Design rows [observations, regressors]
+ * @param {Array} y - Target vector
+ * @param {Object} options - {lambda, l1Ratio (default 1), penalized: one boolean per column
+ *                            (default all), tol, maxIter}
+ * @returns {Object} - {coefficients, lambda, l1Ratio, iterations, nonzero (column indices)}
+ */
+export function elasticNet(X, y, options = {}) {
+  const { lambda, l1Ratio = 1, penalized = new Array(X[0].length).fill(true), tol = 1e-8, maxIter = 10000 } = options;
+  if (!(lambda >= 0) || !(l1Ratio >= 0 && l1Ratio <= 1)) {
+    throw new Error(`Elastic net needs lambda >= 0 and 0 <= l1Ratio <= 1 (got ${lambda}, ${l1Ratio})`);
+  }
+  const problem = prepare(X, y, penalized);
+  const { beta, iterations } = solve(problem, lambda, l1Ratio, null, tol, maxIter);
+  const coefficients = recover(problem, X, y, beta);
+  return {
+    coefficients,
+    lambda,
+    l1Ratio,
+    iterations,
+    nonzero: coefficients.map((c, j) => (c !== 0 ? j : -1)).filter(j => j >= 0)
+  };
+}
+
+/**
+ * Choose lambda by forward-chaining cross-validation: the rows are split into folds + 1
+ * consecutive blocks and fold f trains on blocks 0..f and validates on block f + 1,
+ * so the model never sees frames that come after the ones it is scored on
+ * @param {Array} X - Design rows [observations, regressors], in time order
+ * @param {Array} y - Target vector
+ * @param {Object} options - {l1Ratio (default 1), penalized, folds (default 5), lambdas (default a
+ *                            log grid of nLambdas values below the smallest all-zero lambda), nLambdas, tol, maxIter}
+ * @returns {Object} - {lambda (lowest mean validation MSE), lambdas, scores, folds}
+ */
+export function crossValidateLambda(X, y, options = {}) {
+  const {
+    l1Ratio = 1,
+    penalized = new Array(X[0].length).fill(true),
+    folds = 5,
+    nLambdas = 30,
+    tol = 1e-6,
+    maxIter = 10000
+  } = options;
+  const n = X.length;
+  const blockSize = Math.floor(n / (folds + 1));
+  if (!Number.isInteger(folds) || folds < 2 || blockSize <= X[0].length) {
+    throw new Error(`Cannot split ${n} observations into ${folds} time-ordered folds with more rows than the ${X[0].length} regressors`);
+  }
+
+  const top = lambdaMax(prepare(X, y, penalized), l1Ratio);
+  const lambdas = options.lambdas ||
+    Array.from({length: nLambdas}, (_, i) => top * Math.pow(1e-4, i / (nLambdas - 1)));
+  // Decreasing lambdas let each fit warm-start from the sparser previous one
+  const order = lambdas.map((_, i) => i).sort((a, b) => lambdas[b] - lambdas[a]);
+
+  const errors = lambdas.map(() => []);
+  for (let f = 1; f <= folds; f++) {
+    const trainEnd = f * blockSize;
+    const testEnd = f === folds ? n : trainEnd + blockSize;
+    const trainX = X.slice(0, trainEnd);
+    const trainY = y.slice(0, trainEnd);
+    const problem = prepare(trainX, trainY, penalized);
+    let start = null;
+    for (const i of order) {
+      const { beta } = solve(problem, lambdas[i], l1Ratio, start, tol, maxIter);
+      start = beta;
+      const coefficients = recover(problem, trainX, trainY, beta);
+      const testErrors = [];
+      for (let t = trainEnd; t < testEnd; t++) {
+        testErrors.push(y[t] - X[t].reduce((sum, x, j) => sum + x * coefficients[j], 0));
+      }
+      errors[i].push(meanSquare(testErrors));
+    }
+  }
+
+  const scores = errors.map(foldErrors => foldErrors.reduce((sum, e) => sum + e, 0) / folds);
+  const best = scores.indexOf(Math.min(...scores));
+  return { lambda: lambdas[best], lambdas, scores, folds };
+}
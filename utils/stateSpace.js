@@ -0,0 +1,260 @@
+// 🛰️ State-space utilities for ARMA likelihoods
+// Harvey representation with unit innovation variance:
+//   y_t     = a_t[0]
+//   a_{t+1} = T a_t + e1 * c_{t+1} + R eps_{t+1}
+// where T has the AR coefficients in its first column and an identity superdiagonal.
+
+import * as math from 'mathjs';
+import { leastSquares } from './leastSquares.js';
+
+/**
+ * Build the Harvey state-space form of an ARMA(p, q) process
+ * @param {Array} ar - AR coefficients [phi_1, ..., phi_p]
+ * @param {Array} ma - MA coefficients [theta_1, ..., theta_q]
+ * @returns {Object} - {phi, R, dim}
+ */
+export function armaStateSpace(ar, ma) {
+  const dim = Math.max(ar.length, ma.length + 1);
+  const phi = Array.from({length: dim}, (_, i) => ar[i] || 0);
+  const R = Array.from({length: dim}, (_, i) => (i === 0 ? 1 : ma[i - 1] || 0));
+  return { phi, R, dim };
+}
+
+// Dense transition matrix of the Harvey form
+function transitionMatrix(phi) {
+  const dim = phi.length;
+  return Array.from({length: dim}, (_, i) =>
+    Array.from({length: dim}, (_, j) => (j === 0 ? phi[i] : 0) + (j === i + 1 ? 1 : 0))
+  );
+}
+
+// T P T' exploiting the Harvey structure (O(dim^2) instead of O(dim^3))
+function transitionCovariance(phi, P) {
+  const dim = phi.length;
+  const TP = Array.from({length: dim}, (_, i) =>
+    P[0].map((p0, l) => phi[i] * p0 + (i + 1 < dim ? P[i + 1][l] : 0))
+  );
+  return Array.from({length: dim}, (_, i) =>
+    Array.from({length: dim}, (_, j) => phi[j] * TP[i][0] + (j + 1 < dim ? TP[i][j + 1] : 0))
+  );
+}
+
+/**
+ * Unconditional state covariance P solving P = T P T' + R R' (doubling algorithm)
+ * @param {Object} system - {phi, R} from armaStateSpace
+ * @param {Object} options - {maxIter, tol, diffuse}
+ * @returns {Object} - {P, stationary} (diffuse prior when the AR part is not stationary)
+ */
+export function stationaryCovariance(system, options = {}) {
+  const { phi, R } = system;
+  const dim = phi.length;
+  const maxIter = options.maxIter || 60;
+  const tol = options.tol || 1e-12;
+
+  let P = R.map(ri => R.map(rj => ri * rj));
+  let A = transitionMatrix(phi);
+
+  for (let iter = 0; iter < maxIter; iter++) {
+    const APA = math.multiply(math.multiply(A, P), math.transpose(A));
+    P = math.add(P, APA);
+    A = math.multiply(A, A);
+    const size = Math.max(...A.map(row => Math.max(...row.map(Math.abs))));
+    if (!Number.isFinite(size)) break;
+    if (size < tol) return { P, stationary: true };
+  }
+
+  // Explosive or unit-root dynamics: fall back to an approximate diffuse prior
+  const diffuse = options.diffuse || 1e6;
+  return {
+    P: Array.from({length: dim}, (_, i) => Array.from({length: dim}, (_, j) => (i === j ? diffuse : 0))),
+    stationary: false
+  };
+}
+
+/**
+ * Unconditional state mean for a constant state intercept c (observation mean c / (1 - sum(phi)))
+ * @param {Array} phi - First column of the Harvey transition matrix
+ * @param {number} c - Intercept added to the first state element
+ * @returns {Array} - Mean state vector
+ */
+export function stationaryMean(phi, c) {
+  const mean = c / (1 - phi.reduce((sum, v) => sum + v, 0));
+  let tail = 0;
+  const state = new Array(phi.length);
+  for (let i = phi.length - 1; i >= 1; i--) {
+    tail += phi[i];
+    state[i] = mean * tail;
+  }
+  state[0] = mean;
+  return state;
+}
+
+/**
+ * Kalman filter run jointly on several series sharing the same system (augmented filter)
+ * @param {Object} system - {phi, R} from armaStateSpace
+ * @param {Array} series - Array of observation arrays of equal length
+ * @param {Object} options - {initialCovariance, initialMeans, intercepts, tol}
+ * @returns {Object} - {innovations: one array per series, F: innovation variances}
+ */
+export function kalmanFilter(system, series, options = {}) {
+  const { phi, R } = system;
+  const dim = phi.length;
+  const n = series[0].length;
+  const tol = options.tol || 1e-10;
+  const intercepts = options.intercepts || [];
+
+  let P = options.initialCovariance || stationaryCovariance(system).P;
+  const states = series.map((_, s) =>
+    (options.initialMeans && options.initialMeans[s]) ? options.initialMeans[s].slice() : new Array(dim).fill(0)
+  );
+  const innovations = series.map(() => new Array(n));
+  const F = new Array(n);
+
+  let converged = false;
+  let f = 0;
+  let K = null;
+
+  for (let t = 0; t < n; t++) {
+    if (!converged) {
+      f = Math.max(P[0][0], 1e-12);
+      // Kalman gain K = T P Z' / F with Z = e1
+      K = phi.map((phi_i, i) => (phi_i * P[0][0] + (i + 1 < dim ? P[i + 1][0] : 0)) / f);
+    }
+    F[t] = f;
+
+    for (let s = 0; s < series.length; s++) {
+      const a = states[s];
+      const v = series[s][t] - a[0];
+      innovations[s][t] = v;
+
+      const a0 = a[0];
+      for (let i = 0; i < dim; i++) {
+        a[i] = phi[i] * a0 + (i + 1 < dim ? a[i + 1] : 0) + K[i] * v;
+      }
+      if (intercepts[s] && t + 1 < n) a[0] += intercepts[s][t + 1];
+    }
+
+    if (!converged) {
+      const TPT = transitionCovariance(phi, P);
+      let change = 0;
+      const next = TPT.map((row, i) => row.map((value, j) => {
+        const updated = value - f * K[i] * K[j] + R[i] * R[j];
+        change = Math.max(change, Math.abs(updated - P[i][j]));
+        return updated;
+      }));
+      P = next;
+      // Once the covariance reaches its steady state the gains stop changing
+      if (change < tol) converged = true;
+    }
+  }
+
+  return { innovations, F };
+}
+
+/**
+ * Concentrate regression coefficients out of an augmented filter run (GLS)
+ * @param {Array} innovations - [endog innovations, regressor innovations...]
+ * @param {Array} F - Innovation variances
+ * @param {Object} options - {conditionNumber: also return the weighted design's condition number (default false)}
+ * @returns {Object} - {beta, residuals, dropped (collinear regressors, beta fixed at 0), conditionNumber}
+ */
+export function concentrateRegression(innovations, F, options = {}) {
+  const { conditionNumber = false } = options;
+  const [vy, ...V] = innovations;
+  const k = V.length;
+  if (k === 0) return { beta: [], residuals: vy.slice(), dropped: [], conditionNumber: null };
+
+  // Weighted least squares on rows scaled by 1 / sqrt(F_t)
+  const weights = F.map(f => 1 / Math.sqrt(f));
+  const rows = vy.map((_, t) => V.map(column => column[t] * weights[t]));
+  const solution = leastSquares(rows, vy.map((v, t) => v * weights[t]), { conditionNumber });
+  const beta = solution.coefficients;
+  const residuals = vy.map((v, t) => v - V.reduce((sum, column, i) => sum + column[t] * beta[i], 0));
+  return { beta, residuals, dropped: solution.dropped, conditionNumber: solution.conditionNumber };
+}
+
+/**
+ * Gaussian log-likelihood with the innovation variance concentrated out
+ * @param {Array} v - Innovations
+ * @param {Array} F - Innovation variances (unit-scale)
+ * @returns {Object} - {llf, sigma2}
+ */
+export function concentratedLoglike(v, F) {
+  const n = v.length;
+  let ssr = 0;
+  let logDet = 0;
+  for (let t = 0; t < n; t++) {
+    ssr += v[t] * v[t] / F[t];
+    logDet += Math.log(F[t]);
+  }
+  const sigma2 = ssr / n;
+  const llf = -0.5 * n * (Math.log(2 * Math.PI * sigma2) + 1) - 0.5 * logDet;
+  return { llf, sigma2 };
+}
+
+/**
+ * Map unconstrained values to the coefficients of a stationary AR polynomial
+ * (Monahan 1984: partial autocorrelations + Durbin-Levinson recursion)
+ * @param {Array} unconstrained - Real-valued parameters
+ * @returns {Array} - [phi_1, ..., phi_p] with 1 - phi_1 B - ... - phi_p B^p stationary
+ */
+export function constrainStationary(unconstrained) {
+  const n = unconstrained.length;
+  const r = unconstrained.map(u => u / Math.sqrt(1 + u * u));
+  let y = [];
+  for (let k = 0; k < n; k++) {
+    const next = [];
+    for (let i = 0; i < k; i++) next.push(y[i] + r[k] * y[k - i - 1]);
+    next.push(r[k]);
+    y = next;
+  }
+  return y.map(v => -v);
+}
+
+/**
+ * Inverse of constrainStationary
+ * @param {Array} constrained - Stationary AR coefficients
+ * @returns {Array} - Unconstrained parameters
+ */
+export function unconstrainStationary(constrained) {
+  const n = constrained.length;
+  let y = constrained.map(v => -v);
+  const r = new Array(n);
+  for (let k = n - 1; k >= 0; k--) {
+    r[k] = y[k];
+    const denom = 1 - r[k] * r[k];
+    y = y.slice(0, k).map((v, i) => (v - r[k] * y[k - i - 1]) / denom);
+  }
+  return r.map(v => v / Math.sqrt(Math.max(1 - v * v, 1e-12)));
+}
+
+/**
+ * Roots of the lag polynomial 1 - c_1 z^s - ... - c_n z^(ns) (stationary when every |root| > 1).
+ * The roots in w = z^s are the inverse eigenvalues of the companion matrix; each gives s roots in z.
+ * @param {Array} coefficients - [c_1, ..., c_n] (pass -theta for an MA polynomial 1 + theta(z))
+ * @param {number} s - Lag spacing (1 for regular, the period for seasonal polynomials)
+ * @returns {Array} - {real, imag, modulus} per root, smallest modulus first
+ */
+export function lagPolynomialRoots(coefficients, s = 1) {
+  let degree = coefficients.length;
+  while (degree > 0 && coefficients[degree - 1] === 0) degree--;
+  if (degree === 0) return [];
+
+  const companion = Array.from({length: degree}, (_, i) =>
+    Array.from({length: degree}, (_, j) => (i === 0 ? coefficients[j] : (j === i - 1 ? 1 : 0)))
+  );
+  const { values } = math.eigs(companion, { eigenvectors: false });
+  const eigenvalues = Array.isArray(values) ? values : values.toArray();
+
+  const roots = [];
+  for (const lambda of eigenvalues) {
+    const modulus = 1 / math.abs(lambda);
+    const angle = -math.arg(lambda);
+    for (let k = 0; k < s; k++) {
+      const theta = (angle + 2 * Math.PI * k) / s;
+      const rootModulus = Math.pow(modulus, 1 / s);
+      roots.push({ real: rootModulus * Math.cos(theta), imag: rootModulus * Math.sin(theta), modulus: rootModulus });
+    }
+  }
+  return roots.sort((a, b) => a.modulus - b.modulus);
+}
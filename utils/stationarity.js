@@ -0,0 +1,358 @@
+// 📉 Stationarity tests
+// Unit-root (ADF, Phillips-Perron) and stationarity (KPSS) tests used to choose the differencing order d
+
+import jStat from 'jstat';
+import { leastSquares } from './leastSquares.js';
+
+// Residuals of a regression of the series on a constant ('c') or constant and trend ('ct')
+function detrend(series, regression) {
+  const n = series.length;
+  const mean = series.reduce((sum, v) => sum + v, 0) / n;
+  if (regression === 'c') return series.map(v => v - mean);
+
+  const tMean = (n + 1) / 2;
+  let sxy = 0;
+  let sxx = 0;
+  series.forEach((v, i) => {
+    sxy += (i + 1 - tMean) * (v - mean);
+    sxx += (i + 1 - tMean) * (i + 1 - tMean);
+  });
+  const slope = sxy / sxx;
+  return series.map((v, i) => v - mean - slope * (i + 1 - tMean));
+}
+
+// Autocovariance sum_{t>=lag} e_t e_{t-lag}
+function lagProduct(e, lag) {
+  let sum = 0;
+  for (let t = lag; t < e.length; t++) sum += e[t] * e[t - lag];
+  return sum;
+}
+
+// Deterministic columns for regression 'n', 'c' or 'ct' (time index starting at 1)
+function trendColumns(n, regression) {
+  return Array.from({length: n}, (_, t) => {
+    if (regression === 'n') return [];
+    return regression === 'c' ? [1] : [1, t + 1];
+  });
+}
+
+// Plain OLS: coefficients, residuals, SSR and standard errors
+function olsFit(y, X) {
+  const n = y.length;
+  const { coefficients: params, residuals: resid, rank, XTXInverse } = leastSquares(X, y, { conditionNumber: false });
+  const ssr = lagProduct(resid, 0);
+  const s2 = ssr / (n - rank);
+  const bse = XTXInverse.map((row, i) => Math.sqrt(Math.max(row[i] * s2, 0)));
+  return { params, resid, ssr, bse, nobs: n, k: rank };
+}
+
+// Schwert's rule of thumb for the maximum lag, 12 (n/100)^(1/4)
+function schwertLags(n) {
+  return Math.ceil(12 * Math.pow(n / 100, 1 / 4));
+}
+
+// MacKinnon (1994) response-surface p-values of the Dickey-Fuller tau statistic (one series).
+// Polynomials in tau, used below (small) or above (large) tau_star, mapped through the normal CDF.
+const MACKINNON_TAU = {
+  n: { min: -19.04, max: Infinity, star: -1.04, small: [0.6344, 1.2378, 0.032496], large: [0.4797, 0.93557, -0.06999, 0.033066] },
+  c: { min: -18.83, max: 2.74, star: -1.61, small: [2.1659, 1.4412, 0.038269], large: [1.7339, 0.93202, -0.12745, -0.010368] },
+  ct: { min: -16.18, max: 0.7, star: -2.89, small: [3.2512, 1.6047, 0.049588], large: [2.5261, 0.61654, -0.37956, -0.060285] }
+};
+
+// MacKinnon (2010) finite-sample critical values: c0 + c1/n + c2/n^2 + c3/n^3 at 1%, 5% and 10%
+const MACKINNON_CRITICAL = {
+  n: [[-2.56574, -2.2358, -3.627, 0], [-1.94100, -0.2686, -3.365, 31.223], [-1.61682, 0.2656, -2.714, 25.364]],
+  c: [[-3.43035, -6.5393, -16.786, -79.433], [-2.86154, -2.8903, -4.234, -40.040], [-2.56677, -1.5384, -2.809, 0]],
+  ct: [[-3.95877, -9.0531, -28.428, -134.155], [-3.41049, -4.3904, -9.036, -45.374], [-3.12705, -2.5856, -3.925, -22.380]]
+};
+
+function mackinnonPValue(tau, regression) {
+  const table = MACKINNON_TAU[regression];
+  if (tau > table.max) return 1;
+  if (tau < table.min) return 0;
+  const coefs = tau <= table.star ? table.small : table.large;
+  const z = coefs.reduce((sum, c, i) => sum + c * Math.pow(tau, i), 0);
+  return jStat.normal.cdf(z, 0, 1);
+}
+
+function mackinnonCriticalValues(regression, nobs) {
+  const [one, five, ten] = MACKINNON_CRITICAL[regression].map(c =>
+    c[0] + c[1] / nobs + c[2] / (nobs * nobs) + c[3] / (nobs * nobs * nobs)
+  );
+  return { '1%': one, '5%': five, '10%': ten };
+}
+
+function checkUnitRootRegression(regression) {
+  if (!(regression in MACKINNON_TAU)) {
+    throw new Error(`Invalid unit-root regression "${regression}" (use 'n', 'c' or 'ct')`);
+  }
+}
+
+// Data-dependent bandwidth of Hobijn et al. (1998), as in statsmodels' nlags='auto'
+function kpssAutoLags(e) {
+  const n = e.length;
+  const covlags = Math.floor(Math.pow(n, 2 / 9));
+  let s0 = lagProduct(e, 0) / n;
+  let s1 = 0;
+  for (let i = 1; i <= covlags; i++) {
+    const product = lagProduct(e, i) / (n / 2);
+    s0 += product;
+    s1 += i * product;
+  }
+  const gamma = 1.1447 * Math.pow((s1 / s0) * (s1 / s0), 1 / 3);
+  return Math.min(Math.floor(gamma * Math.pow(n, 1 / 3)), n - 1);
+}
+
+// KPSS critical values (Kwiatkowski et al. 1992, Table 1) at 10%, 5%, 2.5% and 1%
+const KPSS_CRITICAL = {
+  c: [0.347, 0.463, 0.574, 0.739],
+  ct: [0.119, 0.146, 0.176, 0.216]
+};
+const KPSS_LEVELS = [0.10, 0.05, 0.025, 0.01];
+
+/**
+ * KPSS test; the null hypothesis is that the series is level (or trend) stationary
+ * @param {Array} series - Observations
+ * @param {Object} options - {regression: 'c' | 'ct', nlags: number | 'auto'}
+ * @returns {Object} - {statistic, pValue, nlags, criticalValues} (pValue interpolated within [0.01, 0.10])
+ */
+export function kpssTest(series, options = {}) {
+  const { regression = 'c', nlags = 'auto' } = options;
+  if (!(regression in KPSS_CRITICAL)) {
+    throw new Error(`Invalid KPSS regression "${regression}" (use 'c' or 'ct')`);
+  }
+  const n = series.length;
+  if (n < 3) throw new Error(`KPSS test needs at least 3 observations, got ${n}`);
+
+  const e = detrend(series, regression);
+  const lags = nlags === 'auto' ? kpssAutoLags(e) : Math.min(nlags, n - 1);
+
+  // Partial sums of the residuals
+  let partial = 0;
+  let eta = 0;
+  for (const v of e) {
+    partial += v;
+    eta += partial * partial;
+  }
+  eta /= n * n;
+
+  // Long-run variance with Bartlett weights
+  let longRunVariance = lagProduct(e, 0);
+  for (let k = 1; k <= lags; k++) {
+    longRunVariance += 2 * (1 - k / (lags + 1)) * lagProduct(e, k);
+  }
+  longRunVariance /= n;
+
+  const statistic = longRunVariance > 0 ? eta / longRunVariance : 0;
+  const critical = KPSS_CRITICAL[regression];
+
+  // Linear interpolation in the table, clamped to its range
+  let pValue;
+  if (statistic <= critical[0]) pValue = KPSS_LEVELS[0];
+  else if (statistic >= critical[critical.length - 1]) pValue = KPSS_LEVELS[KPSS_LEVELS.length - 1];
+  else {
+    const i = critical.findIndex(c => c > statistic);
+    const w = (statistic - critical[i - 1]) / (critical[i] - critical[i - 1]);
+    pValue = KPSS_LEVELS[i - 1] + w * (KPSS_LEVELS[i] - KPSS_LEVELS[i - 1]);
+  }
+
+  return {
+    statistic,
+    pValue,
+    nlags: lags,
+    criticalValues: { '10%': critical[0], '5%': critical[1], '2.5%': critical[2], '1%': critical[3] }
+  };
+}
+
+/**
+ * Augmented Dickey-Fuller test; the null hypothesis is a unit root
+ * @param {Array} series - Observations
+ * @param {Object} options - {regression: 'n' | 'c' | 'ct', maxlag, autolag: 'aic' | 'bic' | null}
+ * @returns {Object} - {statistic, pValue, usedLag, nobs, criticalValues, icBest}
+ */
+export function adfTest(series, options = {}) {
+  const { regression = 'c', autolag = 'aic' } = options;
+  checkUnitRootRegression(regression);
+  if (autolag !== null && autolag !== 'aic' && autolag !== 'bic') {
+    throw new Error(`Invalid ADF autolag "${autolag}" (use 'aic', 'bic' or null)`);
+  }
+  const n = series.length;
+  const ntrend = regression === 'n' ? 0 : regression.length;
+  const maxlag = options.maxlag !== undefined
+    ? options.maxlag
+    : Math.max(0, Math.min(Math.floor(n / 2) - ntrend - 1, schwertLags(n)));
+  // Rows of the longest regression must exceed its columns
+  if (maxlag < 0 || n - 1 - maxlag <= 1 + maxlag + ntrend) {
+    throw new Error(`ADF test: ${n} observations are too few for maxlag = ${maxlag}`);
+  }
+
+  const diff = series.slice(1).map((v, t) => v - series[t]);
+  // Regression of diff_t on [level_{t-1}, diff_{t-1..t-lags}, trend], using the last `rows` differences
+  const design = (lags, rows) => {
+    const start = diff.length - rows;
+    const trend = trendColumns(rows, regression);
+    const X = Array.from({length: rows}, (_, r) => {
+      const t = start + r;
+      const lagged = Array.from({length: lags}, (_, j) => diff[t - j - 1]);
+      return [series[t], ...lagged, ...trend[r]];
+    });
+    return { y: diff.slice(start), X };
+  };
+
+  // Lag search on a common sample so the criteria are comparable
+  let usedLag = maxlag;
+  let icBest = null;
+  if (autolag) {
+    const rows = diff.length - maxlag;
+    for (let lags = 0; lags <= maxlag; lags++) {
+      const { y, X } = design(lags, rows);
+      const fit = olsFit(y, X);
+      const llf = -rows / 2 * (Math.log(2 * Math.PI * fit.ssr / rows) + 1);
+      const penalty = autolag === 'aic' ? 2 : Math.log(rows);
+      const ic = -2 * llf + penalty * fit.k;
+      if (icBest === null || ic < icBest) {
+        icBest = ic;
+        usedLag = lags;
+      }
+    }
+  }
+
+  const { y, X } = design(usedLag, diff.length - usedLag);
+  const fit = olsFit(y, X);
+  const statistic = fit.params[0] / fit.bse[0];
+  return {
+    statistic,
+    pValue: mackinnonPValue(statistic, regression),
+    usedLag,
+    nobs: fit.nobs,
+    criticalValues: mackinnonCriticalValues(regression, fit.nobs),
+    icBest
+  };
+}
+
+/**
+ * Phillips-Perron test; the null hypothesis is a unit root. The Dickey-Fuller tau statistic is
+ * corrected non-parametrically for serial correlation (Newey-West long-run variance).
+ * @param {Array} series - Observations
+ * @param {Object} options - {regression: 'n' | 'c' | 'ct', lags (Newey-West bandwidth)}
+ * @returns {Object} - {statistic, pValue, lags, nobs, criticalValues}
+ */
+export function ppTest(series, options = {}) {
+  const { regression = 'c' } = options;
+  checkUnitRootRegression(regression);
+  const n = series.length;
+  const lags = options.lags !== undefined ? options.lags : schwertLags(n);
+  const trend = trendColumns(n - 1, regression);
+  const X = series.slice(0, -1).map((v, t) => [v, ...trend[t]]);
+  if (n - 1 < X[0].length + 1) {
+    throw new Error(`Phillips-Perron test needs more than ${X[0].length + 1} observations, got ${n}`);
+  }
+
+  const fit = olsFit(series.slice(1), X);
+  const nobs = fit.nobs;
+  const u = fit.resid;
+
+  let longRunVariance = lagProduct(u, 0);
+  for (let j = 1; j <= Math.min(lags, nobs - 1); j++) {
+    longRunVariance += 2 * (1 - j / (lags + 1)) * lagProduct(u, j);
+  }
+  longRunVariance /= nobs;
+
+  const s2 = fit.ssr / (nobs - fit.k);
+  const gamma0 = fit.ssr / nobs;
+  const sigma = fit.bse[0];
+  const tau = (fit.params[0] - 1) / sigma;
+  const statistic = Math.sqrt(gamma0 / longRunVariance) * tau
+    - 0.5 * ((longRunVariance - gamma0) / Math.sqrt(longRunVariance)) * (nobs * sigma / Math.sqrt(s2));
+
+  return {
+    statistic,
+    pValue: mackinnonPValue(statistic, regression),
+    lags,
+    nobs,
+    criticalValues: mackinnonCriticalValues(regression, nobs)
+  };
+}
+
+// Whether each test still points to a unit root at level alpha (so one more difference is needed)
+const STATIONARITY_TESTS = {
+  kpss: (x, regression, alpha) => kpssTest(x, { regression }).pValue < alpha,
+  adf: (x, regression, alpha) => adfTest(x, { regression }).pValue >= alpha,
+  pp: (x, regression, alpha) => ppTest(x, { regression }).pValue >= alpha
+};
+
+/**
+ * Number of regular differences needed to make a series stationary (pmdarima's ndiffs)
+ * @param {Array} series - Observations
+ * @param {Object} options - {alpha, maxD, regression, test: 'kpss' | 'adf' | 'pp'}
+ * @returns {number} - Smallest d for which the test no longer points to non-stationarity
+ */
+export function ndiffs(series, options = {}) {
+  const { alpha = 0.05, maxD = 2, regression = 'c', test = 'kpss' } = options;
+  if (!(test in STATIONARITY_TESTS)) {
+    throw new Error(`Invalid stationarity test "${test}" (use 'kpss', 'adf' or 'pp')`);
+  }
+  let x = series.slice();
+  let d = 0;
+  while (d < maxD && x.length > 3) {
+    // A constant series is trivially stationary
+    if (x.every(v => v === x[0])) break;
+    if (!STATIONARITY_TESTS[test](x, regression, alpha)) break;
+    x = x.slice(1).map((v, t) => v - x[t]);
+    d++;
+  }
+  return d;
+}
+
+/**
+ * Run ADF, KPSS and Phillips-Perron on one or several channels (e.g. BVH joints)
+ * @param {Array} data - One series, or rows [frames, channels] as returned for exog by extractDataFromBVH
+ * @param {Object} options - {names, alpha, regression: 'c' | 'ct', maxD, verbose}
+ * @returns {Array} - Per channel {name, adf, kpss, pp, stationary, d}
+ */
+export function stationarityReport(data, options = {}) {
+  const { alpha = 0.05, regression = 'c', maxD = 2, verbose = true } = options;
+  const columns = Array.isArray(data[0])
+    ? data[0].map((_, j) => data.map(row => row[j]))
+    : [data];
+  const names = options.names || columns.map((_, j) => `x${j + 1}`);
+
+  const report = columns.map((series, j) => {
+    const adf = adfTest(series, { regression });
+    const kpss = kpssTest(series, { regression });
+    const pp = ppTest(series, { regression });
+    return {
+      name: names[j],
+      adf,
+      kpss,
+      pp,
+      // Both unit-root tests reject and KPSS does not
+      stationary: adf.pValue < alpha && pp.pValue < alpha && kpss.pValue >= alpha,
+      d: ndiffs(series, { alpha, maxD, regression })
+    };
+  });
+
+  if (verbose) {
+    console.log(`\n📉 STATIONARITY TESTS (regression = '${regression}', alpha = ${alpha})`);
+    console.log('='.repeat(96));
+    const headers = ['Channel', 'ADF', 'p-value', 'PP', 'p-value', 'KPSS', 'p-value', 'Stationary', 'd'];
+    const colWidths = [28, 10, 10, 10, 10, 10, 10, 12, 4];
+    const line = cells => cells.map((cell, i) => `${cell}`.padEnd(colWidths[i])).join('');
+    console.log(line(headers));
+    console.log('-'.repeat(96));
+    report.forEach(row => {
+      console.log(line([
+        row.name,
+        row.adf.statistic.toFixed(3), row.adf.pValue.toFixed(4),
+        row.pp.statistic.toFixed(3), row.pp.pValue.toFixed(4),
+        row.kpss.statistic.toFixed(3), row.kpss.pValue.toFixed(4),
+        row.stationary ? '✅ yes' : '❌ no',
+        row.d
+      ]));
+    });
+    console.log('-'.repeat(96));
+    console.log('ADF / PP: H0 unit root · KPSS: H0 stationary (p-value clamped to [0.01, 0.10])');
+  }
+
+  return report;
+}
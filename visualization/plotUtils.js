@@ -1,22 +1,36 @@
 import fs from 'fs';
 import { MSE, MAE, UTheil, calculateCorrelation } from '../utils/metrics.js';
+import { acf, pacf } from '../utils/autocorrelation.js';
+import { tCritical } from '../utils/inference.js';
 
 // Generate HTML plot with Plotly
-export function createPlot(originalData, predictedData, title, filename, forecastType = 'Static', modelSummary = null) {
+// predictionIntervals: optional {lower, upper, alpha} from staticForecasting/dynamicForecasting
+export function createPlot(originalData, predictedData, title, filename, forecastType = 'Static', modelSummary = null, predictionIntervals = null) {
   const timeFrames = Array.from({length: originalData.length}, (_, i) => i);
   
-  // Calculate confidence intervals using Python-like method
-  // ci = (1-(alpha/2)) * np.std(y)/np.mean(y)
-  const alpha = 0.05; // 95% confidence level
-  const meanY = originalData.reduce((sum, val) => sum + val, 0) / originalData.length;
-  const stdY = Math.sqrt(originalData.reduce((sum, val) => sum + Math.pow(val - meanY, 2), 0) / originalData.length);
-  
-  // Python-like confidence interval calculation
-  const ci = (1 - (alpha / 2)) * (stdY / Math.abs(meanY));
-  
-  // Create confidence band around original data (like Python code)
-  const upperBound = originalData.map(val => val + ci);
-  const lowerBound = originalData.map(val => val - ci);
+  let upperBound;
+  let lowerBound;
+  let bandLabel;
+  if (predictionIntervals) {
+    // Model-based prediction intervals around the forecasts
+    upperBound = predictionIntervals.upper;
+    lowerBound = predictionIntervals.lower;
+    bandLabel = `${Math.round((1 - (predictionIntervals.alpha ?? 0.05)) * 100)}% PI`;
+  } else {
+    // Calculate confidence intervals using Python-like method
+    // ci = (1-(alpha/2)) * np.std(y)/np.mean(y)
+    const alpha = 0.05; // 95% confidence level
+    const meanY = originalData.reduce((sum, val) => sum + val, 0) / originalData.length;
+    const stdY = Math.sqrt(originalData.reduce((sum, val) => sum + Math.pow(val - meanY, 2), 0) / originalData.length);
+    
+    // Python-like confidence interval calculation
+    const ci = (1 - (alpha / 2)) * (stdY / Math.abs(meanY));
+    
+    // Create confidence band around original data (like Python code)
+    upperBound = originalData.map(val => val + ci);
+    lowerBound = originalData.map(val => val - ci);
+    bandLabel = 'CI (95%)';
+  }
   
   // Generate model summary table HTML
   let modelTableHtml = '';
@@ -199,7 +213,7 @@ export function createPlot(originalData, predictedData, title, filename, forecas
             y: [${upperBound.join(', ')}],
             type: 'scatter',
             mode: 'lines',
-            name: 'Upper CI (95%)',
+            name: 'Upper ${bandLabel}',
             line: { color: 'lightblue', width: 1, dash: 'dash' },
             showlegend: false
         };
@@ -209,7 +223,7 @@ export function createPlot(originalData, predictedData, title, filename, forecas
             y: [${lowerBound.join(', ')}],
             type: 'scatter',
             mode: 'lines',
-            name: 'Lower CI (95%)',
+            name: 'Lower ${bandLabel}',
             line: { color: 'lightblue', width: 1, dash: 'dash' },
             fill: 'tonexty',
             fillcolor: 'rgba(173, 216, 230, 0.2)',
@@ -248,6 +262,163 @@ export function createPlot(originalData, predictedData, title, filename, forecas
   return filename;
 }
 
+// Generate HTML correlogram (ACF and PACF) with Plotly, for a raw channel or model residuals
+// options: {nlags, alpha, method} where method is the PACF method ('yw', 'ywm' or 'ols')
+export function createCorrelogram(series, title, filename, options = {}) {
+  const { alpha = 0.05, method = 'yw' } = options;
+  const nlags = options.nlags ?? Math.min(Math.floor(10 * Math.log10(series.length)), series.length - 1);
+  const acfResult = acf(series, nlags, { alpha });
+  const pacfResult = pacf(series, nlags, method, { alpha });
+  const lags = Array.from({length: nlags + 1}, (_, k) => k);
+  const level = Math.round((1 - alpha) * 100);
+  const z = tCritical(alpha, Infinity);
+
+  // Bands are centred on zero, as in statsmodels' plot_acf / plot_pacf
+  const traces = (values, se, axis) => `[
+            {
+                x: [${lags.join(', ')}],
+                y: [${values.join(', ')}],
+                type: 'bar',
+                width: 0.2,
+                name: '${axis === 'y' ? 'ACF' : 'PACF'}',
+                marker: { color: 'blue' },
+                xaxis: 'x${axis === 'y' ? '' : '2'}',
+                yaxis: '${axis}'
+            },
+            {
+                x: [${lags.join(', ')}],
+                y: [${se.map(v => z * v).join(', ')}],
+                type: 'scatter',
+                mode: 'lines',
+                line: { color: 'lightblue', width: 1, dash: 'dash' },
+                name: 'Upper ${level}% band',
+                showlegend: false,
+                xaxis: 'x${axis === 'y' ? '' : '2'}',
+                yaxis: '${axis}'
+            },
+            {
+                x: [${lags.join(', ')}],
+                y: [${se.map(v => -z * v).join(', ')}],
+                type: 'scatter',
+                mode: 'lines',
+                line: { color: 'lightblue', width: 1, dash: 'dash' },
+                fill: 'tonexty',
+                fillcolor: 'rgba(173, 216, 230, 0.2)',
+                name: 'Lower ${level}% band',
+                showlegend: false,
+                xaxis: 'x${axis === 'y' ? '' : '2'}',
+                yaxis: '${axis}'
+            }
+        ]`;
+  const htmlContent = `
+<!DOCTYPE html>
+<html>
+<head>
+    <title>${title}</title>
+    <script src="https://cdn.plot.ly/plotly-latest.min.js"></script>
+    <style>
+        body { font-family: Arial, sans-serif; margin: 20px; }
+        .plot-container { width: 100%; height: 700px; }
+        h1 { color: #333; text-align: center; }
+    </style>
+</head>
+<body>
+    <h1>${title}</h1>
+    
+    <div id="plot" class="plot-container"></div>
+    
+    <script>
+        var data = [
+            ...${traces(acfResult.acf, acfResult.se, 'y')},
+            ...${traces(pacfResult.pacf, pacfResult.se, 'y2')}
+        ];
+        
+        var layout = {
+            title: '${title} - ACF / PACF (${level}% bands, PACF ${method})',
+            grid: { rows: 2, columns: 1, pattern: 'independent' },
+            xaxis: { title: 'Lag', showgrid: true, gridcolor: '#eee' },
+            yaxis: { title: 'Autocorrelation', range: [-1.05, 1.05], showgrid: true, gridcolor: '#eee' },
+            xaxis2: { title: 'Lag', showgrid: true, gridcolor: '#eee' },
+            yaxis2: { title: 'Partial autocorrelation', range: [-1.05, 1.05], showgrid: true, gridcolor: '#eee' },
+            showlegend: false,
+            margin: { t: 50, l: 60, r: 20, b: 60 }
+        };
+        
+        Plotly.newPlot('plot', data, layout, {responsive: true});
+    </script>
+</body>
+</html>`;
+
+  fs.writeFileSync(filename, htmlContent);
+  console.log(`📊 Correlogram saved: ${filename}`);
+  return { filename, acf: acfResult, pacf: pacfResult };
+}
+
+// Generate HTML impulse response plot with Plotly, from model.impulseResponses(steps, options)
+export function createImpulseResponsePlot(irf, title, filename) {
+  const frames = irf.response.map((_, h) => h);
+  const shock = irf.impulse === 'endog' ? `innovation of ${irf.variable}` : `${irf.variable}`;
+  const htmlContent = `
+<!DOCTYPE html>
+<html>
+<head>
+    <title>${title}</title>
+    <script src="https://cdn.plot.ly/plotly-latest.min.js"></script>
+    <style>
+        body { font-family: Arial, sans-serif; margin: 20px; }
+        .plot-container { width: 100%; height: 700px; }
+        h1 { color: #333; text-align: center; }
+    </style>
+</head>
+<body>
+    <h1>${title}</h1>
+    
+    <div id="plot" class="plot-container"></div>
+    
+    <script>
+        var data = [
+            {
+                x: [${frames.join(', ')}],
+                y: [${irf.response.join(', ')}],
+                type: 'bar',
+                width: 0.3,
+                name: 'Response',
+                marker: { color: 'blue' }
+            },
+            {
+                x: [${frames.join(', ')}],
+                y: [${irf.cumulative.join(', ')}],
+                type: 'scatter',
+                mode: 'lines+markers',
+                name: 'Cumulative response',
+                line: { color: 'red', width: 2 },
+                marker: { size: 4 },
+                xaxis: 'x2',
+                yaxis: 'y2'
+            }
+        ];
+        
+        var layout = {
+            title: '${title} - unit shock to ${shock}',
+            grid: { rows: 2, columns: 1, pattern: 'independent' },
+            xaxis: { title: 'Frames after the shock', showgrid: true, gridcolor: '#eee' },
+            yaxis: { title: 'Response', zeroline: true, showgrid: true, gridcolor: '#eee' },
+            xaxis2: { title: 'Frames after the shock', showgrid: true, gridcolor: '#eee' },
+            yaxis2: { title: 'Cumulative response', zeroline: true, showgrid: true, gridcolor: '#eee' },
+            showlegend: false,
+            margin: { t: 50, l: 60, r: 20, b: 60 }
+        };
+        
+        Plotly.newPlot('plot', data, layout, {responsive: true});
+    </script>
+</body>
+</html>`;
+
+  fs.writeFileSync(filename, htmlContent);
+  console.log(`📊 Impulse response plot saved: ${filename}`);
+  return filename;
+}
+
 // Create console-based simple plot
 export function createConsolePlot(originalData, predictedData, title, width = 80) {
   console.log(`\n📈 ${title}`);